@@ -0,0 +1,71 @@
+import fs from "fs";
+import path from "path";
+import { ethers } from "ethers";
+import { createRequire } from "module";
+
+const require = createRequire(import.meta.url);
+const defaultRegistry = require("./data/addressLabels.json");
+
+const provider = new ethers.JsonRpcProvider(process.env.RPC_URL);
+
+// category: burn | token | pair | locker | router | bridge | cex | deployer | owner | privileged
+// Balances in these categories are not one holder who can dump - they stay out of concentration metrics
+export const NON_CIRCULATING_CATEGORIES = ["burn", "token", "pair", "locker", "router", "bridge", "cex"];
+
+let registry = null;
+
+function readRegistryConfig() {
+  if (!process.env.ADDRESS_LABELS_PATH) return defaultRegistry;
+  try {
+    return JSON.parse(fs.readFileSync(path.resolve(process.env.ADDRESS_LABELS_PATH), "utf8"));
+  } catch (err) {
+    console.log("Custom address labels failed to load, using defaults:", err.message);
+    return defaultRegistry;
+  }
+}
+
+// 🔥 NEW: Known addresses (ADDRESS_LABELS_PATH, default src/data/addressLabels.json):
+// { "default": [{ address, label, category }], "chains": { "<chainId>": [...] } } - chain entries win
+export async function getAddressRegistry() {
+  if (registry) return registry;
+
+  const config = readRegistryConfig();
+  let chainId = null;
+  try {
+    chainId = (await provider.getNetwork()).chainId.toString();
+  } catch (err) {
+    console.log("Chain id lookup failed, using default address labels only:", err.message);
+  }
+
+  const entries = new Map();
+  for (const entry of [...(config.default || []), ...((chainId && config.chains?.[chainId]) || [])]) {
+    if (!ethers.isAddress(entry.address)) {
+      console.log(`⚠️ Skipping address label ${entry.label}: invalid address ${entry.address}`);
+      continue;
+    }
+    entries.set(entry.address.toLowerCase(), { label: entry.label, category: entry.category });
+  }
+  // Only cache once the chain is known, so a flaky RPC doesn't lose the per-chain overrides for good
+  if (chainId) registry = entries;
+  return entries;
+}
+
+// 🔥 NEW: Address -> { label, category } for one scan: the registry plus the token's own contract,
+// pairs, lockers, routers and team wallets. First label wins, so curated entries take precedence.
+export async function buildAddressLabels(tokenAddress, { symbol, pairs = [], lockers = [], dexes = [], deployer, owner, privilegedWallets = [] } = {}) {
+  const labels = new Map(await getAddressRegistry());
+  const add = (address, label, category) => {
+    if (!address || !ethers.isAddress(address)) return;
+    const key = address.toLowerCase();
+    if (!labels.has(key)) labels.set(key, { label, category });
+  };
+
+  add(tokenAddress, `🪙 ${symbol || "Token"} contract`, "token");
+  pairs.forEach(pair => add(pair.pair, `💧 ${pair.dex ? pair.dex.name : "DEX"} LP`, "pair"));
+  lockers.forEach(locker => add(locker.address, `🔒 ${locker.name}`, "locker"));
+  dexes.forEach(dex => add(dex.router, `🔁 ${dex.name} router`, "router"));
+  add(deployer, "🛠️ Deployer", "deployer");
+  add(owner, "👑 Owner", "owner");
+  privilegedWallets.forEach(wallet => add(wallet.address, `🔑 ${wallet.roles.join("/")}`, "privileged"));
+  return labels;
+}
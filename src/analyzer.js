@@ -1,152 +1,38 @@
 import axios from "axios";
 import { ethers } from "ethers";
-import { getTopHolders, getTokenInfo } from "./holders.js";
+import { simulateRoundTrip } from "./simulation.js";
+import { analyzeBytecode, selectorOf } from "./bytecode.js";
+import { detectProxy, classifyController } from "./proxy.js";
+import { getOwnershipEvents, getOwnershipTransfers, detectFakeRenounce, getRoleHolders, isBurnOwner, DEFAULT_ADMIN_ROLE } from "./ownershipHistory.js";
+import { loadRiskConfig, evaluateRiskRules } from "./riskEngine.js";
+import { toSerializable } from "./utils.js";
+import { calculateGiniCoefficient, calculateHHI, calculateNakamotoCoefficient, calculateTopShares, sharePercent } from "./holderMetrics.js";
+import { checkLockerStatus, getConfiguredLockers } from "./lockers/index.js";
+import { analyzePairDepth, findAllPairs, getConfiguredDexes, getPairCreation } from "./liquidity.js";
+import { analyzeLpHolders } from "./lpHolders.js";
+import { buildAddressLabels, NON_CIRCULATING_CATEGORIES } from "./addressLabels.js";
+import { detectHolderClusters } from "./holderClusters.js";
+import { analyzeLaunch } from "./launchAnalysis.js";
+import { analyzeDeployerHistory } from "./deployerHistory.js";
+import { simulateOwnerPowers } from "./privilegeSimulation.js";
+import { fetchContractSource, analyzeContractSource } from "./sourceAnalysis.js";
+import { fingerprintBytecode, matchTemplates } from "./fingerprint.js";
+import { getLiquidityHistory } from "./liquidityHistory.js";
+import { renderReport } from "./renderers/index.js";
 import { createRequire } from "module";
 
 const require = createRequire(import.meta.url);
 const lpAbi = require("./abi/LP.json");
 
-// Updated locker ABI based on your provided contract - Added Locked event
-const LOCKER_ABI = [
-  {
-    "inputs": [
-      {
-        "internalType": "address",
-        "name": "_user",
-        "type": "address"
-      }
-    ],
-    "name": "getUserLocks",
-    "outputs": [
-      {
-        "components": [
-          {
-            "internalType": "uint256",
-            "name": "amount",
-            "type": "uint256"
-          },
-          {
-            "internalType": "uint256",
-            "name": "unlockTime",
-            "type": "uint256"
-          },
-          {
-            "internalType": "address",
-            "name": "token",
-            "type": "address"
-          },
-          {
-            "internalType": "bool",
-            "name": "unlocked",
-            "type": "bool"
-          },
-          {
-            "internalType": "string",
-            "name": "purpose",
-            "type": "string"
-          },
-          {
-            "internalType": "address",
-            "name": "beneficiary",
-            "type": "address"
-          }
-        ],
-        "internalType": "struct BESCHyperChainLocker.Lock[]",
-        "name": "",
-        "type": "tuple[]"
-      }
-    ],
-    "stateMutability": "view",
-    "type": "function"
-  },
-  {
-    "inputs": [],
-    "name": "owner",
-    "outputs": [
-      {
-        "internalType": "address",
-        "name": "",
-        "type": "address"
-      }
-    ],
-    "stateMutability": "view",
-    "type": "function"
-  },
-  {
-    "inputs": [],
-    "name": "paused",
-    "outputs": [
-      {
-        "internalType": "bool",
-        "name": "",
-        "type": "bool"
-      }
-    ],
-    "stateMutability": "view",
-    "type": "function"
-  },
-  // 🔥 ADDED: Locked event for querying
-  {
-    "anonymous": false,
-    "inputs": [
-      {
-        "indexed": true,
-        "internalType": "address",
-        "name": "user",
-        "type": "address"
-      },
-      {
-        "indexed": false,
-        "internalType": "uint256",
-        "name": "amount",
-        "type": "uint256"
-      },
-      {
-        "indexed": false,
-        "internalType": "uint256",
-        "name": "unlockTime",
-        "type": "uint256"
-      },
-      {
-        "indexed": true,
-        "internalType": "address",
-        "name": "token",
-        "type": "address"
-      },
-      {
-        "indexed": false,
-        "internalType": "string",
-        "name": "purpose",
-        "type": "string"
-      },
-      {
-        "indexed": false,
-        "internalType": "uint256",
-        "name": "lockId",
-        "type": "uint256"
-      }
-    ],
-    "name": "Locked",
-    "type": "event"
-  }
-];
-
-const routerAbi = require("./abi/Router.json");
-
 // 🔥 FIXED: Correct Blockscout API base URL
 const BASE_URL = process.env.BLOCKSCOUT_API || "https://explorer.beschyperchain.com/api/v2";
 
-// ✅ Only check LPs against your chain's base tokens
-const BASE_TOKENS = [
-  process.env.WBESC_ADDRESS,
-  process.env.MONEY_ADDRESS,
-  process.env.BUSDC_ADDRESS,
-].filter(Boolean);
-
 const provider = new ethers.JsonRpcProvider(process.env.RPC_URL);
-const ROUTER_ADDRESS = process.env.ROUTER_ADDRESS;
-const FACTORY_ADDRESS = process.env.FACTORY_ADDRESS;
-const LOCKER_ADDRESS = process.env.LOCKER_ADDRESS;
+
+// Upper bound on holders paged in from Blockscout - anything beyond makes the metrics a sample
+const HOLDER_SCAN_LIMIT = Number(process.env.HOLDER_SCAN_LIMIT || 1000);
+// Distribution is not "healthy" once clustered wallets hold this % of supply
+const CLUSTER_CONCERN_PERCENT = 25;
 
 // Enhanced ABI for better contract analysis
 const ENHANCED_TOKEN_ABI = [
@@ -168,6 +54,9 @@ const ENHANCED_TOKEN_ABI = [
   "function marketingFeeSell() view returns (uint256)",
   "function rewardsFeeSell() view returns (uint256)",
   "function teamFeeSell() view returns (uint256)",
+  "function tax() view returns (uint256)",
+  "function buyTax() view returns (uint256)",
+  "function sellTax() view returns (uint256)",
   "function totalSupply() view returns (uint256)",
   "function balanceOf(address) view returns (uint256)",
   "function decimals() view returns (uint8)",
@@ -175,6 +64,8 @@ const ENHANCED_TOKEN_ABI = [
   "function symbol() view returns (string)",
   "function maxTxAmount() view returns (uint256)",
   "function maxWalletAmount() view returns (uint256)",
+  "function maxTransactionAmount() view returns (uint256)",
+  "function maxHoldAmount() view returns (uint256)",
   "function _isBlacklisted(address) view returns (bool)",
   "function renounceOwnership() external",
   "function transferOwnership(address) external",
@@ -289,8 +180,8 @@ async function fetchTokenInfoFromContract(tokenAddress) {
   }
 }
 
-// 🔥 FIXED: Working holders endpoint from your example
-export async function getFixedTopHolders(tokenAddress, limit = 100, totalSupply, decimals) {
+// 🔥 FIXED: Page through the holders endpoint via next_page_params until the scan cap is reached
+export async function getFixedTopHolders(tokenAddress, limit = HOLDER_SCAN_LIMIT, totalSupply, decimals) {
   try {
     console.log(`🔍 Getting top holders for ${tokenAddress}, limit: ${limit}`);
     
@@ -301,97 +192,66 @@ export async function getFixedTopHolders(tokenAddress, limit = 100, totalSupply,
       decimals = tokenInfo.decimals;
       console.log(`Updated supply for holders: ${totalSupply.toString()}`);
     }
-    
-    // ✅ FIXED: Use the WORKING endpoint structure you provided
-    const url = `${BASE_URL}/tokens/${tokenAddress}/holders?page=1&limit=${limit}`;
-    console.log(`Fetching holders from: ${url}`);
-    
-    const res = await axios.get(url, {
-      timeout: 10000
-    });
 
-    console.log("Holders API response status:", res.status);
-    console.log("Holders API response data structure:", JSON.stringify(res.data, null, 2));
+    const items = [];
+    let pageParams = {};
+    let page = 0;
+    let complete = false;
+
+    while (items.length < limit) {
+      const res = await axios.get(`${BASE_URL}/tokens/${tokenAddress}/holders`, {
+        params: pageParams,
+        timeout: 10000
+      });
+      const pageItems = res.data.items || [];
+      items.push(...pageItems);
+      console.log(`Holders page ${++page}: ${pageItems.length} items (${items.length} total)`);
+
+      if (!res.data.next_page_params || pageItems.length === 0) {
+        complete = true;
+        break;
+      }
+      pageParams = res.data.next_page_params;
+    }
 
-    if (!res.data.items || res.data.items.length === 0) {
+    if (items.length === 0) {
       console.warn("⚠️ No holders returned by BlockScout for", tokenAddress);
-      return [];
+      return { holders: [], complete: true };
     }
 
-    console.log(`✅ Found ${res.data.items.length} holders from API`);
+    console.log(`✅ Found ${items.length} holders from API${complete ? "" : ` (capped at ${limit})`}`);
 
-    const holders = res.data.items
+    const holders = items
+      .slice(0, limit)
       .filter(item => item.value && BigInt(item.value) > 0n)
       .map((holder, index) => {
-        // ✅ Handle the actual response structure from working endpoint
         const balance = BigInt(holder.value || 0);
-        const total = totalSupply || BigInt(0);
-        
-        // ✅ Safe percentage calculation with BigInt
-        let percent = 0;
-        if (total > 0n) {
-          const percentage = (balance * 10000n) / total;
-          percent = Number(percentage) / 100;
-        }
-        
         return {
           address: holder.address.hash || holder.address_hash || holder.address || `0x${'0'.repeat(40)}`,
           amount: balance,
-          percent: Math.min(Math.max(percent, 0), 100),
+          percent: Math.min(Math.max(sharePercent(balance, totalSupply || 0n), 0), 100),
           rank: index + 1,
-          value: Number(ethers.formatUnits(balance, decimals || 18))
+          value: Number(ethers.formatUnits(balance, decimals || 18)),
+          isContract: !!holder.address?.is_contract,
+          contractName: holder.address?.name || null
         };
       });
 
     console.log(`✅ Processed ${holders.length} valid holders with non-zero balances`);
-    return holders.slice(0, limit);
+    return { holders, complete };
 
   } catch (err) {
     console.error("❌ getFixedTopHolders failed:", err.message);
     if (err.response) {
       console.error("Response data:", JSON.stringify(err.response.data, null, 2));
     }
-    return [];
+    return { holders: [], complete: false };
   }
 }
 
-// 🔥 FIXED: V2 Blockscout API - Proper contract verification using smart-contracts endpoint
-async function checkContractVerified(address) {
-  try {
-    // ✅ FIXED: Use V2 smart-contracts endpoint instead of Etherscan format
-    const response = await axios.get(`${BASE_URL}/smart-contracts/${address.toLowerCase()}`, {
-      timeout: 5000
-    });
-    
-    console.log("V2 smart-contracts response:", response.status);
-    console.log("Response data:", JSON.stringify(response.data, null, 2));
-    
-    // Check V2 response for verification indicators
-    if (response.data && response.status === 200) {
-      const isVerified = response.data.verified || 
-                         (response.data.source_code && response.data.source_code !== '') || 
-                         (response.data.abi && response.data.abi.length > 0) ||
-                         response.data.name;
-      return !!isVerified;
-    }
-    
-    return false;
-  } catch (err) {
-    if (err.response && err.response.status === 404) {
-      console.log(`Contract ${address} not found/verified on explorer`);
-    } else {
-      console.log(`Contract verification failed for ${address}:`, err.message);
-      if (err.response) {
-        console.log("Response:", JSON.stringify(err.response.data, null, 2));
-      }
-    }
-    return false;
-  }
-}
-
-// 🔥 NEW: Fetch potential locker users (deployer, owner, devWallet, etc.)
-async function fetchPotentialLockerUsers(tokenAddress) {
-  const users = new Set();
+// 🔥 NEW: Fetch privileged wallets (deployer, owner, devWallet, etc.) with the getters that name them
+async function fetchPrivilegedWallets(tokenAddress) {
+  const wallets = new Map();
   try {
     const methods = [
       "deployer", "devWallet", "marketingWallet", "lpWallet", "buybackWallet",
@@ -411,32 +271,48 @@ async function fetchPotentialLockerUsers(tokenAddress) {
     for (const method of methods) {
       try {
         const addr = await tokenContract[method]();
-        if (addr && addr !== ethers.ZeroAddress && !users.has(addr)) {
-          users.add(addr);
-          console.log(`✅ Found potential locker via ${method}: ${addr}`);
+        if (addr && addr !== ethers.ZeroAddress) {
+          if (!wallets.has(addr)) wallets.set(addr, { address: addr, roles: [] });
+          wallets.get(addr).roles.push(method);
+          console.log(`✅ Found privileged wallet via ${method}: ${addr}`);
         }
       } catch (methodErr) {
         console.log(`Method ${method} failed:`, methodErr.message);
       }
     }
   } catch (err) {
-    console.log("Potential users fetch failed:", err.message);
+    console.log("Privileged wallets fetch failed:", err.message);
   }
 
-  return Array.from(users);
+  return Array.from(wallets.values());
+}
+
+// 🔥 NEW: Address that actually deployed the contract, from the explorer
+async function fetchContractCreator(tokenAddress) {
+  try {
+    const response = await axios.get(`${BASE_URL}/addresses/${tokenAddress.toLowerCase()}`, { timeout: 5000 });
+    const creator = response.data && response.data.creator_address_hash;
+    return creator ? ethers.getAddress(creator) : null;
+  } catch (err) {
+    console.log(`Creator lookup failed for ${tokenAddress}:`, err.message);
+    return null;
+  }
 }
 
 // 🔥 FIXED: Get contract creation time and deployer for accurate age calculation and lock checking
 async function getContractCreationTime(tokenAddress) {
   let deployer = null;
+  let privilegedWallets = [];
   try {
     console.log(`🔍 Fetching contract creation time and deployer for ${tokenAddress}`);
     
-    // First, try contract read for potential users
-    const potentialUsers = await fetchPotentialLockerUsers(tokenAddress);
-    if (potentialUsers.length > 0) {
+    // Explorer creator first; privileged getters are only a guess at who deployed
+    privilegedWallets = await fetchPrivilegedWallets(tokenAddress);
+    const potentialUsers = privilegedWallets.map(wallet => wallet.address);
+    deployer = await fetchContractCreator(tokenAddress);
+    if (!deployer && potentialUsers.length > 0) {
       deployer = potentialUsers[0]; // Use first as primary deployer
-      console.log(`Using primary potential locker: ${deployer}`);
+      console.log(`Using primary potential deployer: ${deployer}`);
     }
     
     // Try V2 API first for contract creation
@@ -453,7 +329,8 @@ async function getContractCreationTime(tokenAddress) {
         timestamp: block.timestamp,
         ageHours: Math.floor((Date.now() / 1000 - Number(block.timestamp)) / 3600),
         deployer,
-        potentialUsers
+        potentialUsers,
+        privilegedWallets
       };
     }
     
@@ -474,7 +351,8 @@ async function getContractCreationTime(tokenAddress) {
         timestamp: block.timestamp,
         ageHours: Math.floor((Date.now() / 1000 - Number(block.timestamp)) / 3600),
         deployer,
-        potentialUsers
+        potentialUsers,
+        privilegedWallets
       };
     }
     
@@ -491,6 +369,7 @@ async function getContractCreationTime(tokenAddress) {
       ageHours: estimatedAgeHours,
       deployer,
       potentialUsers,
+      privilegedWallets,
       estimated: true
     };
     
@@ -505,180 +384,194 @@ async function getContractCreationTime(tokenAddress) {
       timestamp: Math.floor(Date.now() / 1000) - (fallbackAge * 3600),
       ageHours: fallbackAge,
       deployer,
-      potentialUsers: [],
+      potentialUsers: privilegedWallets.map(wallet => wallet.address),
+      privilegedWallets,
       estimated: true
     };
   }
 }
 
-// 🔥 FIXED: Batched event querying with smaller initial batch size to avoid RPC limits
-async function queryEventsInBatches(contract, filter, fromBlock, toBlock, batchSize = 1000) {
-  let allEvents = [];
-  let currentFrom = BigInt(fromBlock);
-  const toBlockNum = BigInt(toBlock === 'latest' ? await provider.getBlockNumber() : toBlock);
+// Bump on any change to the AnalysisResult shape and keep src/schema/ in sync (major = breaking)
+export const ANALYSIS_SCHEMA_VERSION = "1.21.0";
+export const ANALYSIS_RESULT_SCHEMA = require("./schema/analysis-result.v1.json");
 
-  console.log(`🔍 Starting batched query: from ${fromBlock} to ${toBlock}, batch size ${batchSize}`);
-
-  while (currentFrom < toBlockNum) {
-    const currentTo = currentFrom + BigInt(batchSize);
-    const actualTo = currentTo > toBlockNum ? toBlockNum : currentTo;
-
-    try {
-      console.log(`📦 Querying batch: ${currentFrom} to ${actualTo}`);
-      const events = await contract.queryFilter(filter, Number(currentFrom), Number(actualTo));
-      allEvents = allEvents.concat(events);
-      console.log(`✅ Batch complete: ${events.length} events found`);
-    } catch (batchErr) {
-      console.error(`❌ Batch failed from ${currentFrom} to ${actualTo}:`, batchErr.message);
-      // If batch fails, try smaller batch or skip
-      if (batchSize > 500) {
-        // Recurse with smaller batch size
-        const smallerBatch = await queryEventsInBatches(contract, filter, Number(currentFrom), Number(actualTo), batchSize / 2);
-        allEvents = allEvents.concat(smallerBatch);
-      } else {
-        console.log(`⚠️ Skipping problematic batch ${currentFrom}-${actualTo} (batch size too small)`);
-      }
-    }
+// 🔥 NEW: Structured, JSON-serializable analysis - the single engine behind the bot, renderers and scripts
+export async function analyzeTokenStructured(tokenAddress, options = {}) {
+  const { simulate = true } = options;
 
-    currentFrom = actualTo + 1n;
+  if (!ethers.isAddress(tokenAddress)) {
+    throw new Error(`Invalid token address: ${tokenAddress}`);
   }
 
-  console.log(`✅ Total events collected: ${allEvents.length}`);
-  return allEvents;
-}
+  console.log(`🔍 Analyzing token: ${tokenAddress}`);
+  
+  // --- 1. Get Enhanced Token Info with FIXED V2 Blockscout supply & holders ---
+  const tokenInfo = await fetchTokenInfoFromBlockscout(tokenAddress);
+  console.log(`Token info loaded: ${tokenInfo.name} (${tokenInfo.symbol}), Supply: ${tokenInfo.totalSupply.toString()}, Holders: ${tokenInfo.holdersCount}`);
+  
+  // 🔥 FIXED: Get accurate contract creation time and deployer
+  const contractCreationInfo = await getContractCreationTime(tokenAddress);
+  
+  // 🔥 NEW: Resolve proxies so capabilities come from the logic contract that actually runs
+  const proxyInfo = await detectProxy(tokenAddress);
+  const contractAnalysis = await analyzeContractFeatures(proxyInfo.implementation || tokenAddress);
+  // 🔥 NEW: Verified source reviewed by static rules - the implementation's source when behind a proxy
+  const contractSource = await fetchContractSource(tokenAddress);
+  const verified = tokenInfo.verified || contractSource.verified;
+  const sourceAnalysis = analyzeContractSource(proxyInfo.implementation
+    ? await fetchContractSource(proxyInfo.implementation)
+    : contractSource);
+  
+  // 🔥 NEW: Every pair across all base tokens and DEXes, largest pool first
+  const pairs = await findAllPairs(tokenAddress);
+  const pairCreationInfo = await getPairCreationInfo(tokenAddress, pairs);
+
+  // --- 2. Create token contract with enhanced ABI ---
+  const tokenContract = new ethers.Contract(tokenAddress, ENHANCED_TOKEN_ABI, provider);
+
+  // --- 3. Owner & Renounce Check ---
+  // 🔥 FIXED: Event replays need the real creation block - an estimate misses history, block 0 scans the whole chain
+  const creationBlock = contractCreationInfo.estimated ? null : contractCreationInfo.blockNumber ?? null;
+  const ownership = await analyzeOwnership(tokenContract, tokenAddress, {
+    fromBlock: creationBlock,
+    deployer: contractCreationInfo.deployer,
+    privilegedWallets: contractCreationInfo.privilegedWallets,
+    selectors: contractAnalysis.selectors || []
+  });
+  ownership.verified = verified;
+
+  // 🔥 NEW: Known addresses (registry + this token's pairs, lockers, routers and team wallets)
+  const walletLabels = await buildAddressLabels(tokenAddress, {
+    symbol: tokenInfo.symbol,
+    pairs,
+    lockers: getConfiguredLockers(),
+    dexes: getConfiguredDexes(),
+    deployer: contractCreationInfo.deployer,
+    owner: ownership.owner,
+    privilegedWallets: contractCreationInfo.privilegedWallets
+  });
+
+  // 🔥 FIXED: Holder distribution with labelled holders - burn/LP/locker/exchange balances stay out of the metrics
+  const holderAnalysis = await analyzeHolderDistribution(tokenAddress, tokenInfo, walletLabels, {
+    deployer: contractCreationInfo.deployer,
+    fromBlock: creationBlock ?? (pairCreationInfo.estimated ? null : pairCreationInfo.blockNumber ?? null)
+  });
+
+  // --- 4. Liquidity & LP Analysis with FIXED risk ---
+  const liquidity = await analyzeLiquidity(tokenAddress, tokenInfo, pairCreationInfo, pairs, walletLabels);
+
+  // 🔥 NEW: Snipers in the first blocks after PairCreated
+  const launch = await analyzeLaunch(tokenAddress, tokenInfo, {
+    pairCreation: pairCreationInfo,
+    pairs,
+    deployer: contractCreationInfo.deployer,
+    labels: walletLabels
+  }).catch(err => {
+    console.log("Launch analysis failed:", err.message);
+    return null;
+  });
 
-export async function analyzeToken(tokenAddress) {
-  try {
-    console.log(`🔍 Analyzing token: ${tokenAddress}`);
-    
-    // --- 1. Get Enhanced Token Info with FIXED V2 Blockscout supply & holders ---
-    const tokenInfo = await fetchTokenInfoFromBlockscout(tokenAddress);
-    console.log(`Token info loaded: ${tokenInfo.name} (${tokenInfo.symbol}), Supply: ${tokenInfo.totalSupply.toString()}, Holders: ${tokenInfo.holdersCount}`);
-    
-    // 🔥 FIXED: Get accurate contract creation time and deployer
-    const contractCreationInfo = await getContractCreationTime(tokenAddress);
-    
-    const contractAnalysis = await analyzeContractFeatures(tokenAddress);
-    const verified = tokenInfo.verified || await checkContractVerified(tokenAddress);
-    
-    // 🔥 FIXED: Use our fixed holders function with WORKING endpoint
-    const holderAnalysis = await analyzeHolderDistribution(tokenAddress, tokenInfo);
-    
-    // 🔥 FIXED: Better pair creation info
-    const pairCreationInfo = await getPairCreationInfo(tokenAddress);
-
-    // --- 2. Create token contract with enhanced ABI ---
-    const tokenContract = new ethers.Contract(tokenAddress, ENHANCED_TOKEN_ABI, provider);
-
-    // --- 3. Owner & Renounce Check ---
-    const ownership = await analyzeOwnership(tokenContract, tokenAddress);
-    ownership.verified = verified;
-
-    // --- 4. Tax Analysis with Max Limits ---
-    const taxes = await analyzeTaxes(tokenContract, tokenInfo.totalSupply);
-
-    // --- 5. Liquidity & LP Analysis with FIXED risk ---
-    const deployer = contractCreationInfo.deployer;
-    const potentialUsers = contractCreationInfo.potentialUsers || [];
-    const liquidity = await analyzeLiquidity(tokenAddress, tokenInfo, pairCreationInfo, deployer, potentialUsers);
-
-    // --- 6. Honeypot & Simulation ---
-    const simulation = await simulateTrading(tokenAddress, tokenInfo, liquidity);
-
-    // --- 7. Trading Activity ---
-    const activity = await analyzeTradingActivity(tokenContract, ownership.owner, tokenInfo.decimals);
-
-    // --- 8. Security Analysis ---
-    const security = await analyzeSecurityFeatures(tokenAddress);
-
-    // --- 9. Calculate Comprehensive Risk with FIXED LP weighting ---
-    const riskAssessment = calculateComprehensiveRisk({
-      taxes,
-      liquidity,
-      holderAnalysis,
-      ownership,
-      simulation,
-      activity,
-      security,
-      contractAnalysis,
-      tokenInfo
+  // 🔥 NEW: The deployer's (and its funder's) other tokens and how they ended
+  const deployerHistory = await analyzeDeployerHistory(tokenAddress, contractCreationInfo.deployer, { labels: walletLabels })
+    .catch(err => {
+      console.log("Deployer history failed:", err.message);
+      return null;
     });
 
-    return formatAnalysisReport({
-      tokenInfo,
-      ownership,
-      taxes,
-      liquidity,
-      holderAnalysis,
-      simulation,
-      activity,
-      security,
-      contractAnalysis,
-      riskAssessment,
-      pairCreationInfo,
-      contractCreationInfo // 🔥 FIXED: Pass contract creation info for accurate age
-    });
+  // --- 5. Honeypot & Simulation ---
+  const simulation = await simulateTrading(tokenAddress, tokenInfo, liquidity, simulate);
+
+  // 🔥 NEW: What the owner could do right now - privileged calls replayed from the owner, then traded against
+  const privilegeSimulation = simulate
+    ? await simulateOwnerPowers(tokenAddress, ownership, {
+        selectors: contractAnalysis.selectors || [],
+        baseline: simulation.results,
+        pairedToken: liquidity.pairedToken,
+        router: liquidity.pairs[0]?.dex.router || undefined,
+        totalSupply: tokenInfo.totalSupply
+      }).catch(err => {
+        console.log("Owner power simulation failed:", err.message);
+        return null;
+      })
+    : null;
+
+  // --- 6. Tax Analysis: declared getters vs measured from the simulation ---
+  // Getters go through the proxy (if any) so the implementation logic runs against the proxy's storage
+  const taxes = await analyzeTaxes(tokenContract, tokenInfo.totalSupply, simulation.results);
+
+  // --- 7. Trading Activity ---
+  const activity = await analyzeTradingActivity(tokenContract, ownership.owner, tokenInfo.decimals);
+
+  // --- 8. Security Analysis ---
+  const security = analyzeSecurityFeatures(contractAnalysis);
+
+  // --- 9. Calculate Comprehensive Risk with FIXED LP weighting ---
+  const riskAssessment = await calculateComprehensiveRisk({
+    taxes,
+    liquidity,
+    holderAnalysis,
+    launch,
+    deployerHistory,
+    ownership,
+    simulation,
+    privilegeSimulation,
+    activity,
+    security,
+    sourceAnalysis,
+    contractAnalysis,
+    proxyInfo,
+    tokenInfo
+  });
+
+  // Raw explorer payload is large and unversioned - keep it out of the result
+  const { blockscoutData, ...tokenSummary } = tokenInfo;
+
+  return toSerializable({
+    schemaVersion: ANALYSIS_SCHEMA_VERSION,
+    address: ethers.getAddress(tokenAddress),
+    analyzedAt: new Date().toISOString(),
+    tokenInfo: tokenSummary,
+    contractCreationInfo,
+    pairCreationInfo,
+    proxyInfo,
+    contractAnalysis,
+    ownership,
+    taxes,
+    liquidity,
+    holderAnalysis,
+    launch,
+    deployerHistory,
+    simulation,
+    privilegeSimulation,
+    activity,
+    security,
+    sourceAnalysis,
+    riskAssessment
+  });
+}
 
+export async function analyzeToken(tokenAddress, format = "telegram") {
+  try {
+    const result = await analyzeTokenStructured(tokenAddress);
+    return renderReport(result, format);
   } catch (err) {
     console.error("❌ analyzeToken failed:", err);
     return `⚠️ Error analyzing token ${tokenAddress}: ${err.message}\n\nPlease check the contract address and try again.`;
   }
 }
 
-// 🔥 FIXED: Pair creation info with proper event filtering
-async function getPairCreationInfo(tokenAddress) {
+// 🔥 FIXED: Pair creation info - earliest PairCreated across every pair the token has
+async function getPairCreationInfo(tokenAddress, pairs = null) {
   try {
-    if (!FACTORY_ADDRESS) return { blockNumber: null, timestamp: null };
-
-    const factory = new ethers.Contract(
-      FACTORY_ADDRESS,
-      [
-        "event PairCreated(address indexed token0, address indexed token1, address pair, uint)",
-        "function getPair(address tokenA, address tokenB) view returns (address)"
-      ],
-      provider
-    );
-
-    // Try to get pair first
-    let pair = ethers.ZeroAddress;
-    if (BASE_TOKENS.length > 0) {
-      for (const baseToken of BASE_TOKENS) {
-        try {
-          const foundPair = await factory.getPair(tokenAddress, baseToken);
-          if (foundPair && foundPair !== ethers.ZeroAddress) {
-            pair = foundPair;
-            console.log(`Found pair via factory: ${pair}`);
-            break;
-          }
-        } catch (pairError) {
-          console.log(`Pair lookup failed for base token ${baseToken}:`, pairError.message);
-        }
-      }
-    }
+    const allPairs = pairs || await findAllPairs(tokenAddress);
+    if (allPairs.length === 0) return { blockNumber: null, timestamp: null };
 
-    if (pair === ethers.ZeroAddress) return { blockNumber: null, timestamp: null };
-
-    // 🔥 FIXED: Proper event filtering - only filter indexed parameters
-    try {
-      const latestBlock = await provider.getBlockNumber();
-      const fromBlock = Math.max(0, latestBlock - 50000);
-      const filter = factory.filters.PairCreated(null, null, pair);
-      const events = await factory.queryFilter(filter, fromBlock, "latest");
-      
-      if (events.length > 0) {
-        const event = events[0];
-        const block = await provider.getBlock(event.blockNumber);
-        console.log(`✅ Found pair creation: block ${event.blockNumber}, timestamp ${block.timestamp}`);
-        return {
-          blockNumber: event.blockNumber,
-          timestamp: block.timestamp,
-          txHash: event.transactionHash,
-          pairAddress: pair
-        };
-      }
-    } catch (filterError) {
-      console.log("Event filter failed, trying alternative method:", filterError.message);
+    let earliest = null;
+    for (const { pair, dex } of allPairs) {
+      const creation = await getPairCreation(pair, dex.factory);
+      if (creation && (!earliest || creation.blockNumber < earliest.blockNumber)) earliest = creation;
     }
+    if (earliest) return earliest;
 
     // Fallback: Estimate from pair deployment
     try {
@@ -692,7 +585,7 @@ async function getPairCreationInfo(tokenAddress) {
         blockNumber: creationBlock, 
         timestamp: estimatedTimestamp,
         estimated: true,
-        pairAddress: pair
+        pairAddress: allPairs[0].pair
       };
     } catch (estimateError) {
       console.log("Estimation failed:", estimateError.message);
@@ -705,7 +598,7 @@ async function getPairCreationInfo(tokenAddress) {
   return { blockNumber: null, timestamp: null };
 }
 
-// Enhanced contract feature detection
+// 🔥 FIXED: Contract feature detection from dispatcher selectors instead of source-text substrings
 async function analyzeContractFeatures(tokenAddress) {
   try {
     const code = await provider.getCode(tokenAddress);
@@ -713,107 +606,206 @@ async function analyzeContractFeatures(tokenAddress) {
       return { isContract: false, warning: "Address is not a contract" };
     }
 
-    const codeLower = code.toLowerCase();
+    const bytecode = analyzeBytecode(code);
+    const has = capability => bytecode.capabilities.some(c => c.capability === capability);
     const suspiciousPatterns = {
-      canMint: codeLower.includes("function mint(") || codeLower.includes("_mint("),
-      canBurn: codeLower.includes("function burn(") || codeLower.includes("_burn("),
-      hasBlacklist: codeLower.includes("isblacklisted") || codeLower.includes("_blacklist"),
-      hasFreeze: codeLower.includes("freeze") || codeLower.includes("pause"),
-      hasReflection: codeLower.includes("reflection") || codeLower.includes("redistribution")
+      canMint: has("mint"),
+      canBurn: has("burn") || has("burnFrom"),
+      hasBlacklist: has("blacklist"),
+      hasFreeze: has("pause"),
+      hasReflection: has("reflection")
     };
 
+    console.log(`✅ Extracted ${bytecode.selectorCount} selectors, ${bytecode.capabilities.length} privileged capabilities`);
+
     return {
       isContract: true,
       bytecodeSize: code.length,
+      selectors: bytecode.selectors,
+      capabilities: bytecode.capabilities,
       suspiciousPatterns,
-      complexityScore: Math.min((code.length / 1000), 10)
+      complexityScore: Math.min((code.length / 1000), 10),
+      // 🔥 NEW: Clone detection against the labelled template library
+      fingerprint: matchTemplates(fingerprintBytecode(code))
     };
   } catch (err) {
     console.log("Contract feature analysis failed:", err.message);
-    return { isContract: false, warning: "Could not fetch contract code" };
+    return { isContract: false, warning: "Could not fetch contract code", selectors: [], capabilities: [], suspiciousPatterns: {} };
   }
 }
 
-// Improved ownership analysis
-async function analyzeOwnership(tokenContract, tokenAddress) {
-  let owner = "N/A";
-  let canRenounce = false;
-  let renounceable = false;
-  let ownershipRisk = "Low";
-
-  try {
-    const ownerMethods = ["deployer", "devWallet", "marketingWallet", "lpWallet", "buybackWallet", "getOwner", "owner", "admin"];
-    for (const method of ownerMethods) {
-      try {
-        owner = await tokenContract[method]();
-        if (owner && owner !== ethers.ZeroAddress) break;
-      } catch (methodErr) {
-        // Continue to next method
-      }
+// 🔥 FIXED: owner() (not devWallet & co.), its type, the OwnershipTransferred chain and AccessControl admins
+async function analyzeOwnership(tokenContract, tokenAddress, { fromBlock = null, deployer = null, privilegedWallets = [], selectors = [] } = {}) {
+  let owner = null;
+  let ownerSource = null;
+  for (const method of ["owner", "getOwner"]) {
+    try {
+      owner = await tokenContract[method]();
+      ownerSource = `${method}()`;
+      break;
+    } catch {
+      // Try the next getter
     }
+  }
 
-    // Check renounce function existence
-    try {
-      await tokenContract.renounceOwnership.estimateGas();
-      canRenounce = true;
-    } catch {}
+  // Capabilities come from the dispatcher - estimateGas from no account says nothing about who may call them
+  const canRenounce = selectors.includes(selectorOf("renounceOwnership()"));
+  const transferable = selectors.includes(selectorOf("transferOwnership(address)"));
+  const renounced = !!owner && isBurnOwner(owner);
 
-    if (owner === ethers.ZeroAddress) {
-      ownershipRisk = "None (Renounced)";
-      renounceable = true;
-    } else if (owner && owner.toLowerCase() === tokenAddress.toLowerCase()) {
-      ownershipRisk = "Medium (Self-owned)";
-    } else {
-      try {
-        await tokenContract.transferOwnership.estimateGas(ethers.Wallet.createRandom().address);
-        ownershipRisk = "High (Transferable)";
-      } catch {
-        ownershipRisk = "Medium (Fixed)";
-      }
+  const replayable = fromBlock !== null;
+  if (!replayable) console.log("⚠️ Contract creation block unknown or estimated - skipping ownership and role replay");
+
+  let transfers = [];
+  let roles = [];
+  let replayComplete = false;
+  if (replayable) {
+    try {
+      const replay = await getOwnershipEvents(tokenAddress, fromBlock);
+      replayComplete = replay.complete;
+      transfers = getOwnershipTransfers(replay.events);
+      roles = await getRoleHolders(replay.events);
+    } catch (err) {
+      console.log("Ownership and role replay failed:", err.message);
     }
-  } catch (err) {
-    console.log("Ownership check failed:", err.message);
-    ownershipRisk = "Unknown";
   }
+  const defaultAdmins = roles.find(r => r.role === DEFAULT_ADMIN_ROLE)?.holders || [];
+
+  const fakeRenounce = await detectFakeRenounce(transfers, owner, {
+    deployer,
+    privilegedAddresses: [
+      ...privilegedWallets.filter(w => !w.roles.every(role => role === "owner" || role === "getOwner")).map(w => w.address),
+      ...roles.flatMap(r => r.holders.map(h => h.address))
+    ]
+  });
+
+  const ownerType = owner && !renounced ? await classifyController(owner) : null;
+
+  let ownershipRisk;
+  if (fakeRenounce.detected) {
+    ownershipRisk = "High (Fake renounce)";
+  } else if (defaultAdmins.some(admin => admin.type === "EOA")) {
+    ownershipRisk = "High (EOA holds DEFAULT_ADMIN_ROLE)";
+  } else if (renounced) {
+    ownershipRisk = defaultAdmins.length > 0 ? "Medium (Renounced, admin role remains)" : "None (Renounced)";
+  } else if (!owner) {
+    ownershipRisk = defaultAdmins.length > 0 ? "Medium (AccessControl admin)" : "Low (No owner)";
+  } else if (owner.toLowerCase() === tokenAddress.toLowerCase()) {
+    ownershipRisk = "Medium (Self-owned)";
+  } else if (ownerType.type === "EOA") {
+    ownershipRisk = transferable ? "High (EOA owner, transferable)" : "High (EOA owner)";
+  } else if (ownerType.type === "Timelock") {
+    ownershipRisk = ownerType.minDelay >= 24 * 3600 ? "Low (Timelock)" : "Medium (Short timelock)";
+  } else {
+    ownershipRisk = `Medium (${ownerType.type} owner)`;
+  }
+
+  if (fakeRenounce.reason) console.log(`👑 ${fakeRenounce.reason}`);
 
-  return { 
-    owner: owner === ethers.ZeroAddress ? "RENOUNCED" : (owner || "Unknown"), 
-    canRenounce, 
-    renounceable, 
-    ownershipRisk
+  return {
+    owner: renounced ? "RENOUNCED" : (owner || "Unknown"),
+    ownerSource,
+    ownerType,
+    canRenounce,
+    transferable,
+    renounceable: renounced,
+    ownershipRisk,
+    riskLevel: ownershipRisk.split(" ")[0],
+    history: {
+      available: replayable,
+      reason: replayable ? null : "Contract creation block unknown or estimated",
+      // 🔥 NEW: false when the replay was capped or a batch failed - transfers and roles may be missing
+      complete: replayComplete,
+      transfers,
+      renouncedAtBlock: transfers.find(t => isBurnOwner(t.newOwner))?.blockNumber ?? null,
+      fakeRenounce
+    },
+    roles,
+    defaultAdmins,
+    // Wallets the contract names (devWallet, marketingWallet...) that are not the owner
+    otherPrivileged: privilegedWallets.filter(w => !owner || w.address.toLowerCase() !== owner.toLowerCase())
   };
 }
 
-// 🔥 FIXED: Enhanced tax analysis with proper BigInt supply handling
-async function analyzeTaxes(tokenContract, totalSupply) {
-  const taxFunctions = {
-    buy: ["liquidityFee", "marketingFee", "rewardsFee", "teamFee", "tax", "buyTax"],
-    sell: ["liquidityFeeSell", "marketingFeeSell", "rewardsFeeSell", "teamFeeSell", "sellTax"],
-    maxTx: ["maxTxAmount", "maxTransactionAmount"],
-    maxWallet: ["maxWalletAmount", "maxHoldAmount"]
-  };
+// Declared fees are only a percentage if the contract says so - honour common denominator getters
+const FEE_DENOMINATOR_FUNCTIONS = ["feeDenominator", "FEE_DENOMINATOR", "feeDivisor", "DENOMINATOR"];
 
-  let buyTax = 0, sellTax = 0, maxTxPercent = 100, maxWalletPercent = 100;
+// Measured and declared taxes further apart than this (percentage points) count as a mismatch
+const TAX_MISMATCH_THRESHOLD = 2;
+
+async function readFeeDenominator(tokenContract) {
+  for (const fn of FEE_DENOMINATOR_FUNCTIONS) {
+    try {
+      const getter = new ethers.Contract(tokenContract.target, [`function ${fn}() view returns (uint256)`], provider);
+      const denominator = await getter[fn]();
+      if (denominator && denominator > 0n) return Number(denominator);
+    } catch {}
+  }
+  return 100;
+}
 
-  // Collect all buy taxes
-  for (const fn of taxFunctions.buy) {
+// 🔥 FIXED: A total fee getter already includes the components - use it when it exists, otherwise sum the parts
+async function readDeclaredFee(tokenContract, { totals, components }, feeDenominator) {
+  for (const fn of totals) {
     try {
       const result = await tokenContract[fn]();
-      if (result && !isNaN(Number(result))) {
-        buyTax += Number(ethers.formatUnits(result, 0)); // Handle potential scaled values
-      }
+      return { percent: (Number(result) * 100) / feeDenominator, found: true };
     } catch {}
   }
 
-  // Collect all sell taxes
-  for (const fn of taxFunctions.sell) {
+  let percent = 0;
+  let found = false;
+  for (const fn of components) {
     try {
       const result = await tokenContract[fn]();
       if (result && !isNaN(Number(result))) {
-        sellTax += Number(ethers.formatUnits(result, 0));
+        percent += (Number(result) * 100) / feeDenominator;
+        found = true;
       }
     } catch {}
   }
+  return { percent, found };
+}
+
+function roundPercent(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// 🔥 FIXED: Tax analysis - declared fee getters plus taxes measured from the swap simulation
+async function analyzeTaxes(tokenContract, totalSupply, simulationResults) {
+  const taxFunctions = {
+    buy: { totals: ["buyTax", "tax"], components: ["liquidityFee", "marketingFee", "rewardsFee", "teamFee"] },
+    sell: { totals: ["sellTax", "tax"], components: ["liquidityFeeSell", "marketingFeeSell", "rewardsFeeSell", "teamFeeSell"] },
+    maxTx: ["maxTxAmount", "maxTransactionAmount"],
+    maxWallet: ["maxWalletAmount", "maxHoldAmount"]
+  };
+
+  let maxTxPercent = 100, maxWalletPercent = 100;
+  const feeDenominator = await readFeeDenominator(tokenContract);
+
+  const declaredBuy = await readDeclaredFee(tokenContract, taxFunctions.buy, feeDenominator);
+  const declaredSell = await readDeclaredFee(tokenContract, taxFunctions.sell, feeDenominator);
+  const hasDeclaredFees = declaredBuy.found || declaredSell.found;
+
+  const declared = {
+    buy: roundPercent(Math.min(Math.max(declaredBuy.percent, 0), 100)),
+    sell: roundPercent(Math.min(Math.max(declaredSell.percent, 0), 100)),
+    denominator: feeDenominator,
+    found: hasDeclaredFees
+  };
+
+  // Measured: simulated swap output compared with the router quote
+  const measured = {
+    buy: simulationResults?.buy?.ok ? simulationResults.buy.tax : null,
+    sell: simulationResults?.sell?.ok ? simulationResults.sell.tax : null,
+    transfer: simulationResults?.transfer?.ok ? simulationResults.transfer.tax : null
+  };
+  const hasMeasured = measured.buy !== null || measured.sell !== null;
+
+  // Each side is only compared when the contract declares a fee for it
+  const taxMismatch =
+    (declaredBuy.found && measured.buy !== null && Math.abs(measured.buy - declared.buy) > TAX_MISMATCH_THRESHOLD) ||
+    (declaredSell.found && measured.sell !== null && Math.abs(measured.sell - declared.sell) > TAX_MISMATCH_THRESHOLD);
 
   // 🔥 FIXED: Check max transaction limits with proper BigInt supply
   if (totalSupply && totalSupply > 0n) {
@@ -844,507 +836,414 @@ async function analyzeTaxes(tokenContract, totalSupply) {
   }
 
   return {
-    buyTax: Math.min(Math.max(buyTax, 0), 100),
-    sellTax: Math.min(Math.max(sellTax, 0), 100),
+    buyTax: measured.buy !== null ? measured.buy : declared.buy,
+    sellTax: measured.sell !== null ? measured.sell : declared.sell,
+    transferTax: measured.transfer,
+    source: hasMeasured ? "measured" : "declared",
+    declared,
+    measured,
+    taxMismatch,
     maxTxPercent,
     maxWalletPercent,
     hasHighLimits: maxTxPercent >= 1 && maxWalletPercent >= 2
   };
 }
 
-// 🔥 FIXED: Enhanced holder distribution with working endpoint
-async function analyzeHolderDistribution(tokenAddress, tokenInfo) {
+// 🔥 FIXED: Holder distribution over every page of holders (up to HOLDER_SCAN_LIMIT)
+async function analyzeHolderDistribution(tokenAddress, tokenInfo, labels = new Map(), { deployer = null, fromBlock = null } = {}) {
   try {
-    const allHolders = await getFixedTopHolders(tokenAddress, 100, tokenInfo.totalSupply, tokenInfo.decimals);
+    const { holders: fetched, complete } = await getFixedTopHolders(tokenAddress, HOLDER_SCAN_LIMIT, tokenInfo.totalSupply, tokenInfo.decimals);
     
-    console.log(`Raw holders fetched: ${allHolders.length}, API reported: ${tokenInfo.holdersCount}`);
-    
-    // Filter out burn addresses and contract itself
-    const liveHolders = allHolders.filter(h => 
-      !h.address.toLowerCase().includes("dead") &&
-      h.address.toLowerCase() !== "0x0000000000000000000000000000000000000000" &&
-      h.address.toLowerCase() !== tokenAddress.toLowerCase() &&
-      h.amount > 0n
-    );
+    console.log(`Raw holders fetched: ${fetched.length}, API reported: ${tokenInfo.holdersCount}`);
+
+    // Label every holder; burn, LP, locker, router, bridge and exchange wallets are not "live" holders.
+    // Unknown contracts keep counting as holders but are marked as such
+    const allHolders = fetched.map(({ isContract, contractName, ...h }) => {
+      const known = labels.get(h.address.toLowerCase());
+      const label = known ? known.label : isContract ? `📄 ${contractName || "Contract"}` : null;
+      return { ...h, label, category: known ? known.category : "wallet" };
+    });
+    const isLive = h => !NON_CIRCULATING_CATEGORIES.includes(h.category) && h.amount > 0n;
+    const liveHolders = allHolders.filter(isLive);
 
     console.log(`Live holders after filtering: ${liveHolders.length}`);
-    
-    const top10Percent = liveHolders.slice(0, 10).reduce((sum, h) => sum + h.percent, 0);
+
+    // Nakamoto/HHI are measured against circulating supply (every non-live balance removed)
+    const excluded = allHolders.filter(h => !isLive(h)).reduce((sum, h) => sum + h.amount, 0n);
+    const totalSupply = BigInt(tokenInfo.totalSupply || 0);
+    const circulatingSupply = totalSupply > excluded ? totalSupply - excluded : 0n;
+
+    const topShares = calculateTopShares(liveHolders, totalSupply);
     const giniCoefficient = calculateGiniCoefficient(liveHolders);
+    const nakamotoCoefficient = calculateNakamotoCoefficient(liveHolders, circulatingSupply);
+    const hhi = calculateHHI(liveHolders, circulatingSupply);
     const holderCount = Math.max(liveHolders.length, tokenInfo.holdersCount); // Use API count if higher
+    const sampled = !complete;
 
-    console.log(`Holder analysis: ${holderCount} total holders, top 10: ${top10Percent.toFixed(1)}%`);
+    // 🔥 NEW: Wallets that look like one actor split across many - a fake "healthy" distribution
+    let clusters = { analyzedHolders: 0, clusters: [], clusteredPercent: 0 };
+    try {
+      clusters = await detectHolderClusters(tokenAddress, liveHolders, { deployer, fromBlock, decimals: tokenInfo.decimals, labels });
+    } catch (err) {
+      console.log("Holder clustering failed:", err.message);
+    }
+
+    console.log(`Holder analysis: ${holderCount} total holders, top 10: ${topShares.top10.toFixed(1)}%, Gini ${giniCoefficient.toFixed(2)}, Nakamoto ${nakamotoCoefficient}, HHI ${hhi}${sampled ? " (sampled)" : ""}`);
 
     return {
-      top10Concentration: top10Percent,
+      top10Concentration: topShares.top10,
+      topShares,
       giniCoefficient: Math.round(giniCoefficient * 100) / 100,
+      nakamotoCoefficient,
+      hhi,
       totalLiveHolders: holderCount,
-      healthyDistribution: top10Percent < 40 && holderCount > 10 && giniCoefficient < 0.7,
-      displayHolders: liveHolders.slice(0, 8)
+      holdersScanned: liveHolders.length,
+      sampled,
+      healthyDistribution: topShares.top10 < 40 && holderCount > 10 && giniCoefficient < 0.7 &&
+        clusters.clusteredPercent < CLUSTER_CONCERN_PERCENT,
+      clusters,
+      labelGroups: groupHoldersByCategory(allHolders, totalSupply),
+      displayHolders: allHolders.slice(0, 8)
     };
   } catch (err) {
     console.error("❌ Holder analysis failed:", err.message);
     return {
       top10Concentration: 0,
+      topShares: { top1: 0, top5: 0, top10: 0, top50: 0 },
       giniCoefficient: 0,
+      nakamotoCoefficient: null,
+      hhi: 0,
       totalLiveHolders: tokenInfo.holdersCount || 0, // Fallback to API count
+      holdersScanned: 0,
+      sampled: false,
       healthyDistribution: false,
+      clusters: { analyzedHolders: 0, clusters: [], clusteredPercent: 0 },
+      labelGroups: [],
       displayHolders: []
     };
   }
 }
 
-function calculateGiniCoefficient(holders) {
-  if (holders.length === 0) return 0;
-  
-  // Use percentages for Gini calculation (already normalized)
-  const totalPercent = holders.reduce((sum, h) => sum + h.percent, 0);
-  if (totalPercent === 0) return 0;
-  
-  let accumulator = 0;
-  let cumulativeShare = 0;
-  
-  const sortedHolders = [...holders].sort((a, b) => b.percent - a.percent);
-  
-  for (let i = 0; i < sortedHolders.length; i++) {
-    const holder = sortedHolders[i];
-    const share = holder.percent / 100;
-    cumulativeShare += share;
-    accumulator += (cumulativeShare - (i + 1) / sortedHolders.length) * share;
+// Supply held per label category (wallets left out), largest first
+function groupHoldersByCategory(holders, totalSupply) {
+  const groups = new Map();
+  for (const holder of holders.filter(h => h.category !== "wallet")) {
+    const group = groups.get(holder.category) || { category: holder.category, count: 0, amount: 0n };
+    group.count++;
+    group.amount += holder.amount;
+    groups.set(holder.category, group);
   }
-  
-  return Math.abs(accumulator);
+  return Array.from(groups.values())
+    .map(group => ({
+      category: group.category,
+      count: group.count,
+      percent: sharePercent(group.amount, totalSupply),
+      excluded: NON_CIRCULATING_CATEGORIES.includes(group.category)
+    }))
+    .sort((a, b) => b.percent - a.percent);
 }
 
-// 🔥 FIXED: Liquidity analysis with better error handling and deployer-based lock check
-async function analyzeLiquidity(tokenAddress, tokenInfo, pairCreationInfo, deployer, potentialUsers = []) {
-  let lpStatus = "⚠️ No LP found";
-  let lpPercentBurned = 0;
-  let lpPair = null;
-  let pairedToken = null;
-  let liquidityValue = "Unknown";
-  let lpAgeHours = 0;
-  let lpLocked = false;
-  let lockedAmount = 0n;
-  let lockedPercent = 0;
-  let unlockTime = 0;
-  let unlockDate = "N/A";
-  let lpRiskLevel = "HIGH";
+// Lock/burn status of a single pair -> display status + risk level
+function classifyLpProtection(lockedPercent, lpPercentBurned, unlockDate, lockerCount) {
+  if (lockedPercent > 0) {
+    const where = lockerCount > 1 ? ` across ${lockerCount} lockers` : "";
+    if (lockedPercent >= 51) {
+      return { lpStatus: `🔒 LP LOCKED: ${lockedPercent.toFixed(1)}%${where} until ${unlockDate}`, lpRiskLevel: "LOW" };
+    }
+    if (lockedPercent >= 25) {
+      return { lpStatus: `🔒 LP PARTIALLY LOCKED: ${lockedPercent.toFixed(1)}%${where} until ${unlockDate}`, lpRiskLevel: "MEDIUM" };
+    }
+    return { lpStatus: `🔒 LP MINIMALLY LOCKED: ${lockedPercent.toFixed(1)}%${where} until ${unlockDate} (INSUFFICIENT)`, lpRiskLevel: "HIGH" };
+  }
+  if (lpPercentBurned >= 51) return { lpStatus: `🔥 LP BURNED: ${lpPercentBurned.toFixed(1)}%`, lpRiskLevel: "LOW" };
+  if (lpPercentBurned >= 25) return { lpStatus: `⚠️ LP PARTIALLY BURNED: ${lpPercentBurned.toFixed(1)}% (INSUFFICIENT)`, lpRiskLevel: "MEDIUM" };
+  return { lpStatus: `🚨 LP UNLOCKED & UNBURNED - HIGH RUG PULL RISK`, lpRiskLevel: "CRITICAL" };
+}
 
-  try {
-    lpPair = await findLiquidityPair(tokenAddress);
+// 🔥 NEW: Lock/burn status, locks, depth and LP holders for one pair
+async function analyzePair(tokenAddress, tokenInfo, { pair, baseToken, dex }, walletLabels) {
+  const lpContract = new ethers.Contract(pair, lpAbi, provider);
+  const lpSupply = await lpContract.totalSupply();
+  const deadBalance = await lpContract.balanceOf("0x000000000000000000000000000000000000dEaD");
+  const lpPercentBurned = lpSupply > 0n ? Number((deadBalance * 10000n) / lpSupply) / 100 : 0;
 
-    if (lpPair && lpPair !== ethers.ZeroAddress) {
-      console.log(`Found LP pair: ${lpPair}`);
-      
-      const lpContract = new ethers.Contract(lpPair, lpAbi, provider);
-      
-      const lpSupply = await lpContract.totalSupply();
-      const deadBalance = await lpContract.balanceOf("0x000000000000000000000000000000000000dEaD");
-      lpPercentBurned = lpSupply > 0n ? Number((deadBalance * 10000n) / lpSupply) / 100 : 0;
+  console.log(`LP ${pair} on ${dex.name}: supply ${ethers.formatEther(lpSupply)}, burned ${lpPercentBurned.toFixed(1)}%`);
 
-      console.log(`LP Supply: ${ethers.formatEther(lpSupply)}, Burned: ${lpPercentBurned.toFixed(1)}%`);
+  // 🔥 NEW: Reserves, price and USD value instead of "Unknown"
+  let depth = null;
+  let liquidityValue = "Unknown";
+  try {
+    depth = await analyzePairDepth(tokenAddress, tokenInfo, pair, { routerAddress: dex.router, factoryAddress: dex.factory });
+    liquidityValue = depth.liquidityUsd !== null
+      ? `$${Math.round(depth.liquidityUsd).toLocaleString()}`
+      : `${depth.pooledBase.toLocaleString()} ${depth.baseSymbol} (USD price unavailable)`;
+  } catch (depthErr) {
+    console.log("Liquidity depth analysis failed:", depthErr.message);
+  }
 
-      const token0 = await lpContract.token0();
-      const token1 = await lpContract.token1();
-      pairedToken = token0.toLowerCase() === tokenAddress.toLowerCase() ? token1 : token0;
+  // === REAL LOCKER CHECKING: summed across every configured locker / vesting / timelock ===
+  const creation = await getPairCreation(pair, dex.factory);
+  const lockStatus = await checkLockerStatus(pair, lpSupply, creation ? creation.blockNumber : null);
+  const lockedPercent = lockStatus.locked ? lockStatus.lockedPercent : 0;
+  const lockerCount = lockStatus.lockers.filter(locker => locker.lockCount > 0).length;
 
-      // Calculate LP age in hours
-      if (pairCreationInfo && pairCreationInfo.timestamp) {
-        const now = Math.floor(Date.now() / 1000);
-        lpAgeHours = Math.floor((now - Number(pairCreationInfo.timestamp)) / 3600);
-      }
+  // 🔥 NEW: Who holds the LP that is neither locked nor burned
+  const lpHolders = await analyzeLpHolders(pair, lpSupply, creation ? creation.blockNumber : null, walletLabels);
 
-      // === REAL LOCKER CHECKING ===
-      if (LOCKER_ADDRESS) {
-        const lockStatus = await checkLockerStatus(lpPair, lpSupply, deployer, potentialUsers);
-        if (lockStatus.locked) {
-          lpLocked = true;
-          lockedAmount = lockStatus.lockedAmount;
-          lockedPercent = lockStatus.lockedPercent;
-          unlockTime = lockStatus.unlockTime;
-          unlockDate = lockStatus.unlockDate;
-          
-          if (lockedPercent >= 51) {
-            lpStatus = `🔒 LP LOCKED: ${lockedPercent.toFixed(1)}% until ${unlockDate}`;
-            lpRiskLevel = "LOW";
-          } else if (lockedPercent >= 25) {
-            lpStatus = `🔒 LP PARTIALLY LOCKED: ${lockedPercent.toFixed(1)}% until ${unlockDate}`;
-            lpRiskLevel = "MEDIUM";
-          } else {
-            lpStatus = `🔒 LP MINIMALLY LOCKED: ${lockedPercent.toFixed(1)}% until ${unlockDate} (INSUFFICIENT)`;
-            lpRiskLevel = "HIGH";
-          }
-        } else if (lpPercentBurned >= 51) {
-          lpStatus = `🔥 LP BURNED: ${lpPercentBurned.toFixed(1)}%`;
-          lpRiskLevel = "LOW";
-        } else if (lpPercentBurned >= 25) {
-          lpStatus = `⚠️ LP PARTIALLY BURNED: ${lpPercentBurned.toFixed(1)}% (INSUFFICIENT)`;
-          lpRiskLevel = "MEDIUM";
-        } else {
-          lpStatus = `🚨 LP UNLOCKED & UNBURNED - HIGH RUG PULL RISK`;
-          lpRiskLevel = "CRITICAL";
-        }
-      } else if (lpPercentBurned >= 51) {
-        lpStatus = `🔥 LP BURNED: ${lpPercentBurned.toFixed(1)}%`;
-        lpRiskLevel = "LOW";
-      } else if (lpPercentBurned >= 25) {
-        lpStatus = `⚠️ LP PARTIALLY BURNED: ${lpPercentBurned.toFixed(1)}% (INSUFFICIENT)`;
-        lpRiskLevel = "MEDIUM";
-      } else {
-        lpStatus = `🚨 LP UNLOCKED & UNBURNED - HIGH RUG PULL RISK`;
-        lpRiskLevel = "CRITICAL";
-      }
-    } else {
-      lpStatus = `❌ NO LIQUIDITY FOUND - CRITICAL RISK`;
-      lpRiskLevel = "CRITICAL";
-    }
-  } catch (err) {
-    console.log("Liquidity analysis failed:", err.message);
-    lpStatus = `❌ Liquidity check failed: ${err.message} - CRITICAL RISK`;
-    lpRiskLevel = "CRITICAL";
+  // 🔥 NEW: Liquidity add/remove timeline + large recent removals
+  let history = null;
+  try {
+    history = await getLiquidityHistory(pair, tokenAddress, {
+      creation,
+      tokenDecimals: tokenInfo.decimals,
+      baseDecimals: depth ? depth.baseDecimals : 18,
+      reserveBase: depth ? depth.reserveBase : null
+    });
+  } catch (historyErr) {
+    console.log(`Liquidity history failed for ${pair}:`, historyErr.message);
   }
 
   return {
-    lpStatus,
+    pair,
+    baseToken,
+    baseSymbol: depth ? depth.baseSymbol : null,
+    dex,
+    createdAtBlock: creation ? creation.blockNumber : null,
+    lpSupply,
     lpPercentBurned,
-    lpPair,
-    pairedToken,
-    lpAgeHours,
-    hasLiquidity: !!lpPair,
-    lpLocked,
-    lockedAmount,
+    lpLocked: lockStatus.locked,
+    lockedAmount: lockStatus.lockedAmount,
     lockedPercent,
-    unlockTime,
-    unlockDate,
-    lpRiskLevel
+    unlockTime: lockStatus.unlockTime,
+    unlockDate: lockStatus.unlockDate,
+    locks: lockStatus.locks.map(lock => ({ ...lock, lpPair: pair })),
+    lockers: lockStatus.lockers,
+    depth,
+    liquidityValue,
+    lpHolders,
+    history,
+    ...classifyLpProtection(lockedPercent, lpPercentBurned, lockStatus.unlockDate, lockerCount)
   };
 }
 
-// 🔥 FIXED: Direct locker status checking via getUserLocks read function
-async function checkLockerStatus(lpPair, totalLPSupply, primaryUser, potentialUsers = []) {
+// Pool share by token-side reserves: arbitrage keeps the price equal across pools, so the token
+// amount in each pool is proportional to its value even when some base tokens have no USD price
+function assignLiquidityShares(pairResults) {
+  const total = pairResults.reduce((sum, p) => sum + (p.depth ? p.depth.pooledToken : 0), 0);
+  for (const p of pairResults) {
+    p.liquiditySharePercent = total > 0
+      ? ((p.depth ? p.depth.pooledToken : 0) / total) * 100
+      : 100 / pairResults.length;
+  }
+}
+
+// Weighted protection (% of all liquidity locked or burned) -> overall LP risk level
+function classifyWeightedProtection(protectedPercent, pairCount) {
+  const summary = `${protectedPercent.toFixed(1)}% of liquidity locked/burned across ${pairCount} pairs`;
+  if (protectedPercent >= 51) return { lpStatus: `🔒 LP PROTECTED: ${summary}`, lpRiskLevel: "LOW" };
+  if (protectedPercent >= 25) return { lpStatus: `⚠️ LP PARTIALLY PROTECTED: ${summary} (INSUFFICIENT)`, lpRiskLevel: "MEDIUM" };
+  if (protectedPercent >= 5) return { lpStatus: `LP MOSTLY UNPROTECTED: ${summary}`, lpRiskLevel: "HIGH" };
+  return { lpStatus: `LP UNLOCKED & UNBURNED: ${summary} - HIGH RUG PULL RISK`, lpRiskLevel: "CRITICAL" };
+}
+
+// 🔥 FIXED: Liquidity analysis across every pair - LP risk weighted by each pair's share of liquidity
+async function analyzeLiquidity(tokenAddress, tokenInfo, pairCreationInfo, pairs = null, walletLabels = new Map()) {
+  const empty = {
+    lpPercentBurned: 0,
+    lpPair: null,
+    pairedToken: null,
+    liquidityValue: "Unknown",
+    depth: null,
+    lpAgeHours: 0,
+    hasLiquidity: false,
+    lpLocked: false,
+    lockedAmount: 0n,
+    lockedPercent: 0,
+    unlockTime: 0,
+    unlockDate: "N/A",
+    locks: [],
+    lockers: [],
+    lpExposure: { deployerPercent: 0, teamPercent: 0 },
+    removedPercent24h: 0,
+    rugInProgress: false,
+    pairs: []
+  };
+
   try {
-    if (!LOCKER_ADDRESS) {
-      return { locked: false, lockedAmount: 0n, lockedPercent: 0, unlockTime: 0, unlockDate: "N/A" };
+    const allPairs = pairs || await findAllPairs(tokenAddress);
+    if (allPairs.length === 0) {
+      return { ...empty, lpStatus: `❌ NO LIQUIDITY FOUND - CRITICAL RISK`, lpRiskLevel: "CRITICAL" };
     }
 
-    console.log(`🔍 Checking locker status for LP: ${lpPair} via primary user ${primaryUser || 'unknown'}`);
-    
-    const lockerContract = new ethers.Contract(LOCKER_ADDRESS, LOCKER_ABI, provider);
-    
-    // Get current timestamp
-    const latestBlockNum = await provider.getBlockNumber();
-    const currentTimestamp = (await provider.getBlock(latestBlockNum)).timestamp;
-
-    let totalLockedAmount = 0n;
-    let earliestUnlockTime = 0;
-    let hasActiveLocks = false;
-    let checkedUsers = [];
-
-    // Check primary user first
-    const usersToCheck = primaryUser ? [primaryUser, ...potentialUsers] : potentialUsers;
-    for (const user of usersToCheck) {
-      if (checkedUsers.includes(user)) continue;
-      checkedUsers.push(user);
-      
-      console.log(`Checking locks for user: ${user}`);
+    const pairResults = [];
+    for (const pairInfo of allPairs) {
       try {
-        const userLocks = await lockerContract.getUserLocks(user);
-        console.log(`Found ${userLocks.length} locks for user ${user}`);
-
-        for (let i = 0; i < userLocks.length; i++) {
-          const lock = userLocks[i];
-          const lockToken = lock.token;
-          const lockId = i; // Assuming index is lockId
-
-          // Only process if token matches LP pair
-          if (lockToken.toLowerCase() !== lpPair.toLowerCase()) {
-            console.log(`Skipping non-LP lock: token ${lockToken} != ${lpPair}`);
-            continue;
-          }
-
-          if (!lock.unlocked && currentTimestamp < lock.unlockTime) {
-            hasActiveLocks = true;
-            totalLockedAmount += lock.amount;
-            
-            if (earliestUnlockTime === 0 || lock.unlockTime < earliestUnlockTime) {
-              earliestUnlockTime = Number(lock.unlockTime);
-            }
-            
-            console.log(`Active LP lock found: User ${user}, ID ${lockId}, Amount ${ethers.formatEther(lock.amount)}, Unlock ${new Date(lock.unlockTime * 1000).toLocaleDateString()}`);
-          }
-        }
-      } catch (userErr) {
-        console.log(`Failed to fetch locks for user ${user}:`, userErr.message);
+        pairResults.push(await analyzePair(tokenAddress, tokenInfo, pairInfo, walletLabels));
+      } catch (pairErr) {
+        console.log(`Pair analysis failed for ${pairInfo.pair}:`, pairErr.message);
       }
     }
-
-    if (hasActiveLocks && totalLPSupply > 0n) {
-      const lockedPercent = Number((totalLockedAmount * 10000n) / totalLPSupply) / 100;
-      const unlockDate = new Date(earliestUnlockTime * 1000).toLocaleDateString();
-      
-      console.log(`✅ Detected locked LP: ${lockedPercent.toFixed(2)}% until ${unlockDate}`);
-      
-      return {
-        locked: true,
-        lockedAmount: totalLockedAmount,
-        lockedPercent: Math.min(lockedPercent, 100),
-        unlockTime: earliestUnlockTime,
-        unlockDate: unlockDate,
-        lockCount: checkedUsers.length // Number of users checked
-      };
+    if (pairResults.length === 0) throw new Error("no pair could be analyzed");
+
+    assignLiquidityShares(pairResults);
+    pairResults.sort((a, b) => b.liquiditySharePercent - a.liquiditySharePercent);
+    const main = pairResults[0];
+
+    const weighted = field => pairResults.reduce((sum, p) => sum + (p.liquiditySharePercent / 100) * field(p), 0);
+    const lockedPercent = weighted(p => p.lockedPercent);
+    const lpPercentBurned = weighted(p => p.lpPercentBurned);
+    const protectedPercent = weighted(p => Math.min(100, p.lockedPercent + p.lpPercentBurned));
+    // Separate signal: LP the team can pull at any moment, straight from their own wallets
+    const lpExposure = {
+      deployerPercent: weighted(p => p.lpHolders.deployerPercent),
+      teamPercent: weighted(p => p.lpHolders.teamPercent)
+    };
+    // 🔥 FIXED: A drained pair has almost no weight left - report the worst pair, not a liquidity-weighted average
+    const removedPercent24h = Math.max(...pairResults.map(p => (p.history ? p.history.removedPercent24h : 0)));
+
+    const { lpStatus, lpRiskLevel } = pairResults.length === 1
+      ? main
+      : classifyWeightedProtection(protectedPercent, pairResults.length);
+
+    const activeLocks = pairResults.flatMap(p => p.locks).filter(lock => lock.status === "active");
+    const unlockTime = activeLocks.length > 0 ? Math.min(...activeLocks.map(lock => lock.unlockTime)) : 0;
+    const totalUsd = pairResults.every(p => p.depth && p.depth.liquidityUsd !== null)
+      ? pairResults.reduce((sum, p) => sum + p.depth.liquidityUsd, 0)
+      : null;
+
+    // Calculate LP age in hours
+    let lpAgeHours = 0;
+    if (pairCreationInfo && pairCreationInfo.timestamp) {
+      const now = Math.floor(Date.now() / 1000);
+      lpAgeHours = Math.floor((now - Number(pairCreationInfo.timestamp)) / 3600);
     }
 
-    console.log("No active LP locks found");
-    return { 
-      locked: false, 
-      lockedAmount: 0n, 
-      lockedPercent: 0, 
-      unlockTime: 0, 
-      unlockDate: "N/A",
-      lockCount: 0 
-    };
+    console.log(`💧 ${pairResults.length} pairs, main ${main.pair} (${main.liquiditySharePercent.toFixed(1)}%), protected ${protectedPercent.toFixed(1)}% -> ${lpRiskLevel}`);
 
-  } catch (err) {
-    console.log("Locker status check failed:", err.message);
-    // Fallback to unlocked status on error
-    return { 
-      locked: false, 
-      lockedAmount: 0n, 
-      lockedPercent: 0, 
-      unlockTime: 0, 
-      unlockDate: "N/A",
-      lockCount: 0,
-      error: err.message 
+    // Top-level pair fields describe the main (largest) pair; percentages are liquidity-weighted except the 24h removal
+    return {
+      lpStatus,
+      lpPercentBurned,
+      lpPair: main.pair,
+      pairedToken: main.baseToken,
+      liquidityValue: totalUsd !== null ? `$${Math.round(totalUsd).toLocaleString()}` : main.liquidityValue,
+      depth: main.depth,
+      lpAgeHours,
+      hasLiquidity: true,
+      lpLocked: pairResults.some(p => p.lpLocked),
+      lockedAmount: main.lockedAmount,
+      lockedPercent,
+      protectedPercent,
+      unlockTime,
+      unlockDate: unlockTime ? new Date(unlockTime * 1000).toLocaleDateString() : "N/A",
+      locks: pairResults.flatMap(p => p.locks),
+      lockers: main.lockers,
+      lpExposure,
+      removedPercent24h,
+      rugInProgress: pairResults.some(p => p.history?.rugInProgress),
+      pairs: pairResults,
+      lpRiskLevel
     };
+  } catch (err) {
+    console.log("Liquidity analysis failed:", err.message);
+    return { ...empty, lpStatus: `❌ Liquidity check failed: ${err.message} - CRITICAL RISK`, lpRiskLevel: "CRITICAL" };
   }
 }
 
-// Find liquidity pair with multiple strategies
-async function findLiquidityPair(tokenAddress) {
-  let lpPair = ethers.ZeroAddress;
-
-  // Strategy 1: Try token's own pair() function
-  try {
-    const tokenContract = new ethers.Contract(tokenAddress, ["function pair() view returns (address)"], provider);
-    lpPair = await tokenContract.pair();
-    if (lpPair && lpPair !== ethers.ZeroAddress) {
-      console.log(`Found LP pair via token contract: ${lpPair}`);
-      return lpPair;
-    }
-  } catch (err) {
-    console.log("Token pair() function failed:", err.message);
+// 🔥 NEW: LP pair + every locker lock on it - used by the unlock reminder service
+export async function getLpLocks(tokenAddress) {
+  const [main] = await findAllPairs(tokenAddress);
+  if (!main) {
+    return { lpPair: null, locked: false, locks: [] };
   }
 
-  // Strategy 2: Factory pair lookup
-  if (FACTORY_ADDRESS && BASE_TOKENS.length > 0) {
-    try {
-      const factory = new ethers.Contract(
-        FACTORY_ADDRESS,
-        ["function getPair(address tokenA, address tokenB) view returns (address)"],
-        provider
-      );
-      
-      for (const baseToken of BASE_TOKENS) {
-        try {
-          const pair = await factory.getPair(tokenAddress, baseToken);
-          if (pair && pair !== ethers.ZeroAddress) {
-            lpPair = pair;
-            console.log(`Found LP pair via factory: ${lpPair} with base token ${baseToken}`);
-            return lpPair;
-          }
-        } catch (pairErr) {
-          console.log(`Factory pair lookup failed for ${baseToken}:`, pairErr.message);
-        }
-      }
-    } catch (err) {
-      console.log("Factory pair lookup failed:", err.message);
-    }
-  }
+  const lpSupply = await new ethers.Contract(main.pair, lpAbi, provider).totalSupply();
+  const creation = await getPairCreation(main.pair, main.dex.factory);
+  const lockStatus = await checkLockerStatus(main.pair, lpSupply, creation ? creation.blockNumber : null);
+  return { lpPair: main.pair, ...lockStatus };
+}
 
-  // Strategy 3: Try V2 API for token transfers to find LP
-  try {
-    const transfersResponse = await axios.get(`${BASE_URL}/tokens/${tokenAddress.toLowerCase()}/transfers`, {
-      params: { limit: 10 },
-      timeout: 5000
-    });
-    
-    if (transfersResponse.data && Array.isArray(transfersResponse.data)) {
-      // Look for transfers involving common LP patterns
-      for (const transfer of transfersResponse.data) {
-        if (transfer.from_hash && transfer.to_hash && 
-            transfer.from_hash !== tokenAddress.toLowerCase() && 
-            transfer.to_hash !== tokenAddress.toLowerCase()) {
-          // This might be an LP address - would need more sophisticated logic
-          console.log("Found potential LP via transfers:", transfer.to_hash);
-        }
-      }
-    }
-  } catch (apiErr) {
-    console.log("V2 transfers API failed:", apiErr.message);
+// 🔥 FIXED: Honeypot simulation - real buy → transfer → sell round trip via state overrides
+async function simulateTrading(tokenAddress, tokenInfo, liquidity, enabled = true) {
+  let results;
+
+  if (!enabled) {
+    results = {
+      method: "none",
+      buy: { tested: false },
+      transfer: { tested: false },
+      sell: { tested: false },
+      error: "simulation disabled"
+    };
+  } else if (liquidity.lpPair && liquidity.pairedToken) {
+    // Trade through the router of the DEX that hosts the main pair
+    results = await simulateRoundTrip(tokenAddress, liquidity.pairedToken, liquidity.pairs[0]?.dex.router || undefined);
+  } else {
+    results = {
+      method: "none",
+      buy: { tested: false },
+      transfer: { tested: false },
+      sell: { tested: false },
+      error: "missing LP/router data"
+    };
   }
 
-  return lpPair;
-}
-
-// FIXED: Honeypot simulation - Simplified to avoid false positives
-async function simulateTrading(tokenAddress, tokenInfo, liquidity) {
   const simulations = {
-    transfer: "Pending",
-    buy: "Pending", 
-    sell: "Pending"
+    buy: describeSimulationStep("Buy", results.buy, results),
+    transfer: describeSimulationStep("Transfer", results.transfer, results),
+    sell: describeSimulationStep("Sell", results.sell, results)
   };
 
-  try {
-    const tokenDecimals = tokenInfo.decimals || 18;
-    const testAmount = ethers.parseUnits("1", tokenDecimals);
+  const { level, label } = assessHoneypotRisk(results);
 
-    // 1. Direct transfer simulation
-    try {
-      const tokenContract = new ethers.Contract(tokenAddress, [
-        "function transfer(address to, uint256 amount) external returns (bool)"
-      ], provider);
-      
-      await provider.call({
-        to: tokenAddress,
-        data: tokenContract.interface.encodeFunctionData("transfer", [
-          ethers.Wallet.createRandom().address,
-          0n
-        ])
-      });
-      simulations.transfer = "✅ Transfer simulation passed";
-    } catch (transferError) {
-      try {
-        const tokenContract = new ethers.Contract(tokenAddress, [
-          "function transfer(address to, uint256 amount) external returns (bool)"
-        ], provider);
-        await provider.call({
-          to: tokenAddress,
-          data: tokenContract.interface.encodeFunctionData("transfer", [
-            ethers.Wallet.createRandom().address,
-            testAmount
-          ])
-        });
-        simulations.transfer = "✅ Transfer simulation passed";
-      } catch (transferError2) {
-        const transferReason = transferError2.reason || transferError2.message || "";
-        if (transferReason.toLowerCase().includes("insufficient balance") || 
-            transferReason.toLowerCase().includes("transfer amount exceeds") ||
-            transferReason.toLowerCase().includes("revert") ||
-            transferReason.toLowerCase().includes("require")) {
-          simulations.transfer = "ℹ️ Transfer needs balance (expected - not a honeypot)";
-        } else {
-          simulations.transfer = `⚠️ Transfer simulation inconclusive: ${extractErrorReason(transferReason)}`;
-        }
-      }
-    }
-
-    // 2. Buy/Sell simulation - approval test
-    if (liquidity.lpPair && liquidity.pairedToken && ROUTER_ADDRESS) {
-      try {
-        const tokenContract = new ethers.Contract(tokenAddress, [
-          "function approve(address spender, uint256 amount) external returns (bool)"
-        ], provider);
-        
-        await provider.call({
-          to: tokenAddress,
-          data: tokenContract.interface.encodeFunctionData("approve", [
-            ROUTER_ADDRESS,
-            testAmount
-          ])
-        });
-        simulations.buy = "✅ Buy simulation passed (approval test)";
-        simulations.sell = "✅ Sell simulation passed (approval test)";
-      } catch (approvalError) {
-        const approvalReason = approvalError.reason || approvalError.message || "";
-        if (approvalReason.toLowerCase().includes("insufficient allowance") ||
-            approvalReason.toLowerCase().includes("revert") ||
-            approvalReason.toLowerCase().includes("require") ||
-            approvalReason.toLowerCase().includes("balance")) {
-          simulations.buy = "ℹ️ Buy simulation needs balance (expected - not a honeypot)";
-          simulations.sell = "ℹ️ Sell simulation needs balance (expected - not a honeypot)";
-        } else {
-          simulations.buy = `⚠️ Buy simulation inconclusive: ${extractErrorReason(approvalReason)}`;
-          simulations.sell = `⚠️ Sell simulation inconclusive: ${extractErrorReason(approvalReason)}`;
-        }
-      }
-    } else {
-      simulations.buy = "ℹ️ Cannot test buy (missing LP/router data)";
-      simulations.sell = "ℹ️ Cannot test sell (missing LP/router data)";
-    }
-
-  } catch (err) {
-    console.log("Simulation failed:", err.message);
-    simulations.transfer = `ℹ️ Simulation error (non-critical): ${err.message}`;
-  }
-
-  const honeypotRisk = assessHoneypotRisk(simulations);
-  
-  return { simulations, honeypotRisk };
+  return { simulations, results, honeypotLevel: level, honeypotRisk: label };
 }
 
-function extractErrorReason(message) {
-  const commonErrors = [
-    { pattern: "transferfrom", reason: "transfer failed" },
-    { pattern: "k", reason: "generic revert" },
-    { pattern: "insufficient", reason: "insufficient funds" },
-    { pattern: "expired", reason: "deadline expired" },
-    { pattern: "liquidity", reason: "low liquidity" },
-    { pattern: "amount", reason: "invalid amount" },
-    { pattern: "balance", reason: "insufficient balance" },
-    { pattern: "slippage", reason: "price impact" },
-    { pattern: "deadline", reason: "time expired" }
-  ];
-
-  for (const error of commonErrors) {
-    if (message.toLowerCase().includes(error.pattern)) {
-      return error.reason;
-    }
+function describeSimulationStep(name, step, results) {
+  if (!step.tested) {
+    return `ℹ️ ${name} not tested${results.error ? ` (${results.error})` : ""}`;
   }
-
-  return message.length > 50 ? `${message.substring(0, 50)}...` : message;
+  if (!step.ok) {
+    return `❌ ${name} reverted: ${step.reason || "unknown reason"}`;
+  }
+  if (step.tax === null || step.tax === undefined) {
+    return `✅ ${name} succeeded (tax not measured)`;
+  }
+  return `✅ ${name} succeeded - measured tax ${step.tax.toFixed(2)}%`;
 }
 
-function assessHoneypotRisk(simulations) {
-  const criticalFailures = Object.values(simulations).filter(s => 
-    s.includes("❌") || 
-    (s.includes("failed") && !s.includes("expected") && !s.includes("inconclusive"))
-  );
-  
-  const warnings = Object.values(simulations).filter(s => 
-    s.includes("⚠️") && !s.includes("missing") && !s.includes("data")
-  );
-  
-  if (criticalFailures.length >= 2) {
-    return "🛑 HIGH HONEYPOT RISK - Multiple critical failures";
-  } else if (criticalFailures.length === 1 && warnings.length >= 1) {
-    const failedType = criticalFailures[0].toLowerCase();
-    if (failedType.includes("sell") || failedType.includes("transfer")) {
-      return "🟡 POTENTIAL HONEYPOT - Sell/transfer concerns detected";
-    }
-  } else if (warnings.length >= 2) {
-    return "🟡 MODERATE CONCERNS - Multiple simulation warnings";
-  }
+function assessHoneypotRisk(results) {
+  const { buy, transfer, sell } = results;
 
-  const passingOrExpected = Object.values(simulations).filter(s => 
-    s.includes("✅") || 
-    s.includes("ℹ️") || 
-    s.includes("expected") ||
-    s.includes("inconclusive") ||
-    s.includes("missing") ||
-    s.includes("data")
-  );
-
-  if (passingOrExpected.length >= 2) {
-    return "✅ NO HONEYPOT INDICATORS - Simulations passed or expected behavior";
+  if (buy.tested && !buy.ok) {
+    return { level: "HIGH", label: `🛑 HIGH HONEYPOT RISK - Buy reverted: ${buy.reason || "unknown reason"}` };
+  }
+  if (sell.tested && !sell.ok) {
+    return { level: "HIGH", label: `🛑 HIGH HONEYPOT RISK - Sell reverted: ${sell.reason || "unknown reason"}` };
+  }
+  if (sell.ok && sell.tax !== null && sell.tax >= 50) {
+    return { level: "HIGH", label: `🛑 HIGH HONEYPOT RISK - Measured sell tax ${sell.tax.toFixed(1)}%` };
+  }
+  if (transfer.tested && !transfer.ok) {
+    return { level: "POTENTIAL", label: `🟡 POTENTIAL HONEYPOT - Transfer reverted: ${transfer.reason || "unknown reason"}` };
+  }
+  if (buy.ok && buy.tax !== null && buy.tax >= 50) {
+    return { level: "POTENTIAL", label: `🟡 POTENTIAL HONEYPOT - Measured buy tax ${buy.tax.toFixed(1)}%` };
+  }
+  if ([buy, transfer, sell].some(step => step.ok && step.tax !== null && step.tax > 20)) {
+    return { level: "MODERATE", label: "🟡 MODERATE CONCERNS - High measured taxes" };
+  }
+  if (!sell.tested) {
+    return { level: "UNCLEAR", label: "🟡 UNCLEAR - Sell could not be simulated" };
   }
 
-  return "🟡 UNCLEAR - Insufficient simulation data";
+  return { level: "NONE", label: "✅ NO HONEYPOT INDICATORS - Buy, transfer and sell simulations passed" };
 }
 
 // FIXED: Trading activity analysis
 async function analyzeTradingActivity(tokenContract, owner, tokenDecimals) {
   let devActivity = "✅ No suspicious dev activity";
+  let suspiciousDevActivity = false;
   let volume24h = "0";
   let uniqueBuyers24h = 0;
   let buySellRatio = "0:0";
@@ -1355,6 +1254,7 @@ async function analyzeTradingActivity(tokenContract, owner, tokenDecimals) {
       const devActivityReport = await monitorDevWallet(tokenContract, owner);
       if (devActivityReport.suspicious) {
         devActivity = `🚨 DEV ACTIVITY: ${devActivityReport.details}`;
+        suspiciousDevActivity = true;
       }
     }
 
@@ -1372,6 +1272,7 @@ async function analyzeTradingActivity(tokenContract, owner, tokenDecimals) {
 
   return {
     devActivity,
+    suspiciousDevActivity,
     volume24h,
     uniqueBuyers24h,
     buySellRatio,
@@ -1466,45 +1367,25 @@ async function getRealTradingMetrics(tokenContract, tokenDecimals) {
   }
 }
 
-// Security features analysis
-async function analyzeSecurityFeatures(tokenAddress) {
+// Security features analysis - derived from the selector-based capability scan
+function analyzeSecurityFeatures(contractAnalysis) {
+  const capabilities = contractAnalysis.capabilities || [];
+  const selectors = contractAnalysis.selectors || [];
+  const has = capability => capabilities.some(c => c.capability === capability);
+
   const features = {
-    blacklistCheck: false,
-    mintable: false,
-    pauseable: false,
-    ownershipRenounceable: false
+    blacklistCheck: has("blacklist"),
+    mintable: has("mint"),
+    pauseable: has("pause"),
+    ownershipRenounceable: selectors.includes(selectorOf("renounceOwnership()"))
   };
 
-  try {
-    const tokenContract = new ethers.Contract(tokenAddress, ENHANCED_TOKEN_ABI, provider);
-
-    try {
-      const isBlacklisted = await tokenContract._isBlacklisted(ethers.Wallet.createRandom().address);
-      features.blacklistCheck = !!isBlacklisted;
-    } catch {}
-
-    try {
-      await tokenContract.mint.estimateGas(ethers.Wallet.createRandom().address, 1n);
-      features.mintable = true;
-    } catch {}
-
-    const code = await provider.getCode(tokenAddress);
-    features.pauseable = code.toLowerCase().includes("paus") || code.toLowerCase().includes("freeze");
-
-    try {
-      await tokenContract.renounceOwnership.estimateGas();
-      features.ownershipRenounceable = true;
-    } catch {}
-
-  } catch (err) {
-    console.log("Security features check failed:", err.message);
-  }
-
   const securityScore = calculateSecurityScore(features);
   
   return {
     features,
     securityScore,
+    privilegedCapabilities: capabilities.filter(c => c.severity !== "info"),
     hasDangerousFeatures: features.mintable || features.blacklistCheck || features.pauseable
   };
 }
@@ -1520,103 +1401,36 @@ function calculateSecurityScore(features) {
   return Math.max(0, score);
 }
 
-// 🔥 FIXED: Comprehensive risk calculation
-function calculateComprehensiveRisk(analysis) {
-  let score = 0;
-  const factors = [];
+// 🔥 FIXED: Comprehensive risk calculation - driven by the declarative rule config (src/data/riskRules.json)
+const LEVEL_DISPLAY = {
+  HIGH: { level: "HIGH RISK", emoji: "🔴", color: "danger" },
+  MEDIUM: { level: "MEDIUM RISK", emoji: "🟡", color: "warning" },
+  LOW: { level: "LOW RISK", emoji: "🟢", color: "success" }
+};
 
-  if (analysis.ownership.ownershipRisk === "High") score += 12;
-  else if (analysis.ownership.ownershipRisk === "Medium") score += 6;
+async function calculateComprehensiveRisk(analysis) {
+  const config = await loadRiskConfig();
+  const result = evaluateRiskRules(config, analysis);
+  const { level, emoji, color } = LEVEL_DISPLAY[result.level];
 
-  if (analysis.taxes.buyTax > 15 || analysis.taxes.sellTax > 15) score += 16;
-  else if (analysis.taxes.buyTax > 10 || analysis.taxes.sellTax > 10) score += 10;
-  
-  if (!analysis.taxes.hasHighLimits) score += 6;
-
-  // Liquidity risk (30 points max)
-  if (!analysis.liquidity.hasLiquidity) {
-    score += 30;
-    factors.push("🚨 NO LIQUIDITY - CRITICAL RISK");
-  } else if (analysis.liquidity.lpRiskLevel === "CRITICAL") {
-    score += 25;
-    factors.push("🚨 LP UNLOCKED & UNBURNED - EXTREME RUG PULL RISK");
-  } else if (analysis.liquidity.lpRiskLevel === "HIGH") {
-    score += 20;
-    factors.push("🔴 INSUFFICIENT LP PROTECTION - HIGH RUG RISK");
-  } else if (analysis.liquidity.lpRiskLevel === "MEDIUM") {
-    score += 12;
-    factors.push("🟡 PARTIAL LP PROTECTION - MODERATE RUG RISK");
-  } else {
-    score += 0;
-    factors.push("✅ STRONG LP PROTECTION - LOW RUG RISK");
-  }
-
-  if (analysis.holderAnalysis.top10Concentration > 60) {
-    score += 15;
-    factors.push("🐋 EXTREME WHALE CONCENTRATION");
-  } else if (analysis.holderAnalysis.top10Concentration > 40) {
-    score += 8;
-    factors.push("🐋 HIGH WHALE CONCENTRATION");
-  }
-
-  if (analysis.simulation.honeypotRisk.includes("HIGH")) {
-    score += 10;
-    factors.push("🛑 HIGH HONEYPOT RISK");
-  } else if (analysis.simulation.honeypotRisk.includes("POTENTIAL") || analysis.simulation.honeypotRisk.includes("MODERATE")) {
-    score += 5;
-    factors.push("⚠️ POTENTIAL HONEYPOT CONCERNS");
-  }
-
-  if (analysis.security.hasDangerousFeatures) {
-    score += 8;
-    factors.push("🚨 DANGEROUS CONTRACT FEATURES");
-  }
-  if (analysis.security.securityScore < 5) score += 2;
-
-  if (!analysis.activity.hasHealthyActivity) {
-    score += 3;
-    factors.push("📉 LOW TRADING ACTIVITY");
-  }
-  if (analysis.activity.devActivity.includes("🚨")) {
-    score += 2;
-    factors.push("🚨 SUSPICIOUS DEV ACTIVITY");
-  }
-
-  if (analysis.contractAnalysis.complexityScore > 7) score += 3;
-  if (analysis.contractAnalysis.suspiciousPatterns.canMint) score += 2;
-
-  const maxScore = 110;
-  const riskPercentage = Math.round((score / maxScore) * 100);
-  
-  let level, emoji, color;
-  if (riskPercentage >= 50 || analysis.liquidity.lpRiskLevel === "CRITICAL") {
-    level = "HIGH RISK";
-    emoji = "🔴";
-    color = "danger";
-  } else if (riskPercentage >= 30 || analysis.liquidity.lpRiskLevel === "HIGH") {
-    level = "MEDIUM RISK";
-    emoji = "🟡";
-    color = "warning";
-  } else {
-    level = "LOW RISK";
-    emoji = "🟢";
-    color = "success";
-  }
-
-  const insights = generateTraderInsights(analysis, riskPercentage);
+  const insights = generateTraderInsights(analysis, result.level);
 
   return {
-    score,
-    riskPercentage,
+    score: result.score,
+    maxScore: result.maxScore,
+    riskPercentage: result.riskPercentage,
+    rulesVersion: result.rulesVersion,
     level,
     emoji,
     color,
-    factors,
+    factors: result.factors,
+    breakdown: result.breakdown,
+    recommendation: getTradingRecommendation(result.riskPercentage, result.level, analysis.liquidity.lpRiskLevel),
     insights
   };
 }
 
-function generateTraderInsights(analysis, riskPercentage) {
+function generateTraderInsights(analysis, riskLevel) {
   const insights = [];
   
   if (analysis.liquidity.lpRiskLevel === "CRITICAL") {
@@ -1627,7 +1441,10 @@ function generateTraderInsights(analysis, riskPercentage) {
     insights.push("⚠️ Use extreme caution - consider waiting for better LP protection");
   }
   
-  if (analysis.ownership.renounceable || analysis.ownership.owner === "RENOUNCED") {
+  const fakeRenounce = analysis.ownership.history?.fakeRenounce;
+  if (fakeRenounce && fakeRenounce.detected) {
+    insights.push(`🚨 Fake renounce: ${fakeRenounce.reason}`);
+  } else if (analysis.ownership.renounceable || analysis.ownership.owner === "RENOUNCED") {
     insights.push("✅ Ownership renounced - reduced rug risk");
   }
   
@@ -1636,6 +1453,18 @@ function generateTraderInsights(analysis, riskPercentage) {
   } else if (analysis.liquidity.lpPercentBurned >= 51) {
     insights.push("🔥 LP burned - liquidity is permanent");
   }
+
+  if (analysis.liquidity.rugInProgress) {
+    insights.push(`🚨 RUG IN PROGRESS: ${analysis.liquidity.removedPercent24h.toFixed(1)}% of a pair's liquidity removed in the last 24h`);
+  }
+
+  if (analysis.liquidity.lpExposure?.deployerPercent >= 1) {
+    insights.push(`🚨 ${analysis.liquidity.lpExposure.deployerPercent.toFixed(1)}% of LP held unlocked by deployer - liquidity can be pulled at any time`);
+  }
+
+  if (analysis.liquidity.depth?.thinLiquidity) {
+    insights.push(`💧 Thin liquidity: ${analysis.liquidity.depth.thinReason} - expect heavy slippage on exit`);
+  }
   
   if (analysis.holderAnalysis.healthyDistribution) {
     insights.push("👥 Healthy holder distribution - reduced whale manipulation risk");
@@ -1645,7 +1474,7 @@ function generateTraderInsights(analysis, riskPercentage) {
     insights.push("💰 Low taxes - good for trading");
   }
   
-  if (analysis.simulation.honeypotRisk === "✅ NO HONEYPOT INDICATORS") {
+  if (analysis.simulation.honeypotLevel === "NONE") {
     insights.push("🛡️ No honeypot indicators detected");
   }
 
@@ -1661,161 +1490,61 @@ function generateTraderInsights(analysis, riskPercentage) {
     insights.push(`🐋 Top 10 holders control ${analysis.holderAnalysis.top10Concentration.toFixed(1)}% - watch for coordinated dumps`);
   }
 
-  if (riskPercentage < 25 && analysis.liquidity.lpRiskLevel === "LOW") {
-    insights.push("📈 Suitable for swing trading - set stop losses at 15-20%");
-  } else if (riskPercentage < 40 && analysis.liquidity.lpRiskLevel !== "CRITICAL") {
-    insights.push("⚖️ Medium risk - use tight stop losses (10%) and small position sizes");
-  } else {
-    insights.push("🚨 High risk - only for experienced traders with strict risk management");
+  const history = analysis.deployerHistory;
+  if (history && history.ruggedCount > 0) {
+    insights.push(`🕵️ Deployer's earlier tokens: ${history.ruggedCount} of ${history.tokenCount} had their liquidity pulled`);
   }
 
-  if (analysis.activity.uniqueBuyers24h > 20) {
-    insights.push(`📊 Strong community interest: ${analysis.activity.uniqueBuyers24h} unique buyers in 24h`);
+  if (analysis.launch && analysis.launch.deployerLinkedCount > 0) {
+    insights.push(`🎯 ${analysis.launch.deployerLinkedCount} deployer-linked wallet${analysis.launch.deployerLinkedCount > 1 ? "s" : ""} sniped ${analysis.launch.deployerLinkedPercent.toFixed(1)}% at launch`);
   }
 
-  return insights.length > 0 ? insights.join("\n") : "⚠️ No specific insights - CRITICAL: DYOR immediately";
-}
+  const clone = analysis.contractAnalysis.fingerprint?.bestMatch;
+  if (clone && ["honeypot", "scam"].includes(clone.category) && clone.similarity >= 90) {
+    insights.push(`🧬 Bytecode ${clone.exact ? "exactly matches" : `is a ${clone.similarity.toFixed(0)}% match to`} ${clone.category} template "${clone.name}"`);
+  }
 
-// 🔥 FIXED: Enhanced report formatting with REAL V2 supply data & FIXED holders/age
-function formatAnalysisReport(analysis) {
-  const { riskAssessment, tokenInfo, ownership, taxes, liquidity, holderAnalysis, 
-          simulation, activity, security, contractAnalysis, pairCreationInfo, contractCreationInfo } = analysis;
-
-  const holdersText = holderAnalysis.displayHolders.length > 0 ? 
-    holderAnalysis.displayHolders
-      .map((h, i) => `${i + 1}. ${h.address.slice(0, 6)}...: ${h.percent.toFixed(2)}%`)
-      .join("\n") : "No holder data available";
-
-  // 🔥 FIXED: Use contract creation time for accurate age calculation
-  let contractAge = "Unknown";
-  if (contractCreationInfo && contractCreationInfo.ageHours) {
-    const ageHours = contractCreationInfo.ageHours;
-    if (ageHours < 24) {
-      contractAge = `${ageHours}h`;
-    } else if (ageHours < 168) {
-      contractAge = `${Math.round(ageHours / 24)}d`;
-    } else if (ageHours < 720) {
-      contractAge = `${Math.round(ageHours / 168)}w`;
-    } else {
-      contractAge = `${Math.round(ageHours / 720)}m`;
-    }
-    contractAge += contractCreationInfo.estimated ? " (est.)" : "";
+  const powers = analysis.privilegeSimulation;
+  if (powers && (powers.canBlockTrading || powers.canBlockWallet)) {
+    insights.push(`🧪 The ${powers.actorRole === "owner" ? "owner" : "admin"} can stop trading right now - simulated privileged calls made buys or sells revert`);
   }
 
-  let lpDetails = liquidity.lpStatus;
-  if (liquidity.lpRiskLevel === "CRITICAL") {
-    lpDetails = `🚨 ${liquidity.lpStatus}`;
-  } else if (liquidity.lpRiskLevel === "HIGH") {
-    lpDetails = `🔴 ${liquidity.lpStatus}`;
-  } else if (liquidity.lpLocked) {
-    lpDetails += `\n   └─ ${liquidity.lockedAmount ? ethers.formatEther(liquidity.lockedAmount) : 'Unknown'} LP tokens locked`;
-    lpDetails += `\n   └─ Unlocks: ${liquidity.unlockDate}`;
+  const { clusters } = analysis.holderAnalysis;
+  if (clusters && clusters.clusters.length > 0) {
+    insights.push(`🕸️ ${clusters.clusters.length} linked wallet cluster${clusters.clusters.length > 1 ? "s" : ""} control ${clusters.clusteredPercent.toFixed(1)}% - distribution may be faked`);
   }
 
-  // 🔥 FIXED: Format total supply properly from V2 API/contract
-  let formattedSupply = "Unknown";
-  if (tokenInfo.totalSupply && tokenInfo.totalSupply > 0n) {
-    try {
-      const supplyNumber = Number(ethers.formatUnits(tokenInfo.totalSupply, tokenInfo.decimals));
-      if (isNaN(supplyNumber)) {
-        formattedSupply = tokenInfo.totalSupply.toString();
-      } else if (supplyNumber >= 1000000000) {
-        formattedSupply = (supplyNumber / 1000000000).toFixed(1) + "B";
-      } else if (supplyNumber >= 1000000) {
-        formattedSupply = (supplyNumber / 1000000).toFixed(1) + "M";
-      } else if (supplyNumber >= 1000) {
-        formattedSupply = (supplyNumber / 1000).toFixed(0) + "K";
-      } else {
-        formattedSupply = supplyNumber.toLocaleString();
-      }
-      
-      console.log(`✅ Formatted supply: ${formattedSupply} (raw: ${tokenInfo.totalSupply.toString()})`);
-    } catch (e) {
-      console.log("Supply formatting error:", e.message);
-      formattedSupply = tokenInfo.totalSupply.toString();
-    }
+  if (riskLevel === "LOW" && analysis.liquidity.lpRiskLevel === "LOW") {
+    insights.push("📈 Suitable for swing trading - set stop losses at 15-20%");
+  } else if (riskLevel !== "HIGH" && analysis.liquidity.lpRiskLevel !== "CRITICAL") {
+    insights.push("⚖️ Medium risk - use tight stop losses (10%) and small position sizes");
+  } else {
+    insights.push("🚨 High risk - only for experienced traders with strict risk management");
   }
 
-  // 🔥 FIXED: Display holders count from API
-  const holdersDisplay = tokenInfo.holdersCount > 0 ? `${tokenInfo.holdersCount} holders` : "0 holders";
-
-  return [
-    `${riskAssessment.emoji} ${riskAssessment.level} (${riskAssessment.riskPercentage}%)`,
-    "",
-    `📋 TOKEN OVERVIEW`,
-    `${tokenInfo.name || 'Unknown'} (${tokenInfo.symbol || '???'})`,
-    `Total Supply: ${formattedSupply}`,
-    `Contract Age: ${contractAge}`,
-    `${holdersDisplay}`,
-    `Contract: ${contractAnalysis.isContract ? "✅ Deployed" : "❌ Not a contract"}`,
-    `Verified: ${ownership.verified ? "✅ Verified Source Code" : "⚠️ Unverified"}`,
-    "",
-    `👑 OWNERSHIP`,
-    `Owner: ${ownership.owner}`,
-    `Risk Level: ${ownership.ownershipRisk}`,
-    `${ownership.canRenounce ? "🔓 Can renounce ownership" : "🔒 Ownership fixed"}`,
-    "",
-    `💰 TAXES & LIMITS`,
-    `Buy Tax: ${taxes.buyTax}% | Sell Tax: ${taxes.sellTax}%`,
-    `Max TX: ${taxes.maxTxPercent.toFixed(1)}% of supply | Max Wallet: ${taxes.maxWalletPercent.toFixed(1)}%`,
-    `${taxes.hasHighLimits ? "✅ Reasonable limits" : "⚠️ Restrictive limits"}`,
-    "",
-    `💧 LIQUIDITY`,
-    lpDetails,
-    `${liquidity.hasLiquidity ? "✅ Liquidity detected" : "❌ NO LIQUIDITY - CRITICAL"}`,
-    `${liquidity.lpRiskLevel === "LOW" ? "🟢 LOW RISK" : liquidity.lpRiskLevel === "MEDIUM" ? "🟡 MEDIUM RISK" : "🔴 HIGH/CRITICAL RISK"} LP Protection`,
-    "",
-    `👥 HOLDER DISTRIBUTION`,
-    `${holderAnalysis.totalLiveHolders || 0} live holders`,
-    `Top 10 control: ${holderAnalysis.top10Concentration.toFixed(1)}%`,
-    `Gini Index: ${holderAnalysis.giniCoefficient} (0=equal, 1=unequal)`,
-    `Distribution: ${holderAnalysis.healthyDistribution ? "✅ Healthy" : "⚠️ Concentrated"}`,
-    "",
-    holdersText,
-    "",
-    `🛡️ HONEYPOT CHECK`,
-    `${simulation.honeypotRisk}`,
-    "",
-    `📊 TRADING ACTIVITY (24h)`,
-    `${activity.devActivity}`,
-    `Unique Buyers: ${activity.uniqueBuyers24h || 0}`,
-    `Total Volume: ${activity.volume24h || '0'} tokens`,
-    `Transactions: ${activity.totalTransactions24h || 0}`,
-    `Buy:Sell Ratio: ${activity.buySellRatio}`,
-    `${activity.hasHealthyActivity ? "✅ Active trading" : "⚠️ Low activity"}`,
-    "",
-    `🔒 SECURITY FEATURES`,
-    `Security Score: ${security.securityScore}/10`,
-    `${security.hasDangerousFeatures ? "⚠️ Dangerous features detected" : "✅ No dangerous features"}`,
-    security.features.mintable ? "🚨 Can mint new tokens" : "",
-    security.features.blacklistCheck ? "🚨 Has blacklist function" : "",
-    security.features.pauseable ? "🚨 Can pause trading" : "",
-    `${security.features.ownershipRenounceable ? "✅ Can renounce ownership" : "⚠️ Cannot renounce ownership"}`,
-    "",
-    `💡 TRADER INSIGHTS`,
-    riskAssessment.insights,
-    "",
-    `⚠️ RISK SUMMARY`,
-    `Overall Risk: ${riskAssessment.level}`,
-    `Risk Factors: ${riskAssessment.factors.length > 0 ? riskAssessment.factors.slice(0, 3).join(', ') : 'None detected'}${riskAssessment.factors.length > 3 ? '...' : ''}`,
-    `Recommendation: ${getTradingRecommendation(riskAssessment.riskPercentage, liquidity.lpRiskLevel)}`,
-    "",
-    `⚠️ Always DYOR - This analysis is for informational purposes only`
-  ].filter(line => line && line.trim() !== "").join("\n");
+  if (analysis.activity.uniqueBuyers24h > 20) {
+    insights.push(`📊 Strong community interest: ${analysis.activity.uniqueBuyers24h} unique buyers in 24h`);
+  }
+
+  return insights.length > 0 ? insights : ["⚠️ No specific insights - CRITICAL: DYOR immediately"];
 }
 
-function getTradingRecommendation(riskPercentage, lpRiskLevel) {
+// 🔥 FIXED: Bands follow the level thresholds, and a level forced up by a critical rule is never called safe
+function getTradingRecommendation(riskPercentage, riskLevel, lpRiskLevel) {
   if (lpRiskLevel === "CRITICAL") {
     return "🚨 EXTREME RISK - AVOID or use MINIMAL position size only";
   } else if (lpRiskLevel === "HIGH") {
     return "🔴 HIGH RISK - Only for experienced traders with strict risk management";
   }
   
-  if (riskPercentage < 25) return "🟢 Safe for accumulation - consider long-term hold";
-  if (riskPercentage < 40) return "🟢 Good for swing trading - set 15% stop loss";
-  if (riskPercentage < 55) return "🟡 Trade with caution - use 10% stop loss, small positions";
+  if (riskLevel === "LOW") {
+    return riskPercentage < 15
+      ? "🟢 Safe for accumulation - consider long-term hold"
+      : "🟢 Good for swing trading - set 15% stop loss";
+  }
+  if (riskLevel === "MEDIUM") return "🟡 Trade with caution - use 10% stop loss, small positions";
   if (riskPercentage < 70) return "🟠 High risk - only for experienced traders";
   return "🔴 Extreme risk - avoid or use minimal position size";
 }
 
-export default { analyzeToken };
+export default { analyzeToken, analyzeTokenStructured };
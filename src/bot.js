@@ -1,11 +1,19 @@
+// 🔥 FIXED: Load .env before any module reads its settings at import time
+import "dotenv/config";
 import TelegramBot from "node-telegram-bot-api";
-import dotenv from "dotenv";
-import Bottleneck from "bottleneck";
 import fs from "fs";
 import { ethers } from "ethers";
-import { analyzeToken } from "./analyzer.js";
-
-dotenv.config();
+import { analyzeTokenStructured } from "./analyzer.js";
+import { renderReport } from "./renderers/index.js";
+import { splitTelegramMessage } from "./renderers/telegram.js";
+import { scheduleScan } from "./limits.js";
+import { addWatch, removeWatch, listWatches, getSnapshot, refreshToken, startWatchScheduler } from "./watchlist.js";
+import {
+  subscribeLockAlerts, unsubscribeLockAlerts, listLockAlerts, parseReminders, startLockAlertScheduler, DEFAULT_REMINDERS
+} from "./lockAlerts.js";
+import { formatDuration } from "./utils.js";
+import { tagAddress, untagAddress, REPUTATION_TAGS } from "./reputation.js";
+import { addTemplate, removeTemplate, getTemplates, TEMPLATE_CATEGORIES } from "./fingerprint.js";
 
 const token = process.env.BOT_TOKEN;
 if (!token) {
@@ -13,6 +21,10 @@ if (!token) {
   process.exit(1);
 }
 
+// Chats allowed to curate shared data (reputation tags, bytecode templates)
+const ADMIN_CHAT_IDS = (process.env.ADMIN_CHAT_IDS || "").split(",").map(id => id.trim()).filter(Boolean);
+const isAdmin = chatId => ADMIN_CHAT_IDS.includes(String(chatId));
+
 const log = (msg, data) => fs.appendFileSync("bot.log", `${new Date().toISOString()} - ${msg} ${JSON.stringify(data)}\n`);
 
 const bot = new TelegramBot(token, { polling: true });
@@ -25,10 +37,6 @@ bot.getUpdates({ offset: -1 }).then(updates => {
   }
 }).catch(err => log("Queue clear failed", { error: err.message }));
 
-// Rate limiters
-const globalLimiter = new Bottleneck({ maxConcurrent: 3, minTime: 2000 });
-const userLimiters = new Map();
-
 // Polling error handling
 bot.on("polling_error", err => {
   log("Polling error", { error: err.message });
@@ -42,7 +50,119 @@ bot.on("polling_error", err => {
 bot.onText(/\/start/, msg => {
   const chatId = msg.chat.id;
   log("Received /start", { chatId });
-  bot.sendMessage(chatId, "👋 BESC Token Scanner\nSend a token address to analyze (1 per 10s).");
+  bot.sendMessage(chatId, [
+    "👋 BESC Token Scanner",
+    "Send a token address to analyze (1 per 10s).",
+    "",
+    "/watch <address> - get alerts when a token's risk changes",
+    "/unwatch <address> - stop watching a token",
+    "/watchlist - show watched tokens",
+    `/lockalert <address> [${DEFAULT_REMINDERS}] - LP unlock reminders and lock event alerts`,
+    "/lockalert_stop <address> - stop LP unlock alerts",
+    "/lockalerts - show LP unlock subscriptions",
+    "/templates - list known bytecode templates",
+    "",
+    "Admin only:",
+    `/tag <address> <${REPUTATION_TAGS.join("|")}> [note] - tag a wallet in the reputation store`,
+    "/untag <address> - remove a wallet's tag",
+    `/template <address> <${TEMPLATE_CATEGORIES.join("|")}> <name> - add a bytecode template`,
+    "/untemplate <id> - remove an admin-added template"
+  ].join("\n"));
+});
+
+// Handle /watch <address>
+bot.onText(/^\/watch(?:@\w+)?(?:\s+(\S+))?$/, async (msg, match) => {
+  const chatId = msg.chat.id;
+  const address = match[1];
+  log("Received /watch", { chatId, address });
+
+  if (!address || !ethers.isAddress(address)) {
+    return bot.sendMessage(chatId, "⚠️ Usage: /watch <token address>");
+  }
+
+  const { added, reason, token } = addWatch(chatId, address);
+  if (!added) return bot.sendMessage(chatId, `⚠️ Not added: ${reason}.`);
+
+  await bot.sendMessage(chatId, `👀 Watching ${token}. Taking a baseline snapshot...`);
+  try {
+    const { current } = await refreshToken(token);
+    await bot.sendMessage(chatId, `✅ Baseline for ${current.name} (${current.symbol}): ${current.riskLevel} (${current.riskPercentage}%). You'll be alerted on material changes.`);
+  } catch (err) {
+    log("Baseline snapshot failed", { chatId, token, error: err.message });
+    await bot.sendMessage(chatId, "⚠️ Baseline scan failed - it will be retried on the next watchlist run.");
+  }
+});
+
+// Handle /unwatch <address>
+bot.onText(/^\/unwatch(?:@\w+)?(?:\s+(\S+))?$/, (msg, match) => {
+  const chatId = msg.chat.id;
+  const address = match[1];
+  log("Received /unwatch", { chatId, address });
+
+  if (!address || !ethers.isAddress(address)) {
+    return bot.sendMessage(chatId, "⚠️ Usage: /unwatch <token address>");
+  }
+  bot.sendMessage(chatId, removeWatch(chatId, address) ? "🗑️ Removed from your watchlist." : "ℹ️ That token is not on your watchlist.");
+});
+
+// Handle /watchlist
+bot.onText(/^\/watchlist(?:@\w+)?$/, msg => {
+  const chatId = msg.chat.id;
+  log("Received /watchlist", { chatId });
+
+  const watches = listWatches(chatId);
+  if (watches.length === 0) {
+    return bot.sendMessage(chatId, "📭 Your watchlist is empty. Add a token with /watch <address>.");
+  }
+
+  const lines = watches.map((token, i) => {
+    const snapshot = getSnapshot(token);
+    return snapshot
+      ? `${i + 1}. ${snapshot.name} (${snapshot.symbol}) - ${snapshot.riskLevel} (${snapshot.riskPercentage}%)\n   ${token}`
+      : `${i + 1}. ${token} (no snapshot yet)`;
+  });
+  bot.sendMessage(chatId, ["👀 WATCHLIST", ...lines].join("\n"));
+});
+
+// Holder clusters of recent scans, so report buttons can expand members without a re-scan
+const MAX_CACHED_CLUSTER_SCANS = 200;
+const clusterCache = new Map();
+
+function clusterKeyboard(result) {
+  const { clusters } = result.holderAnalysis.clusters;
+  if (clusters.length === 0) return {};
+
+  const token = result.address;
+  clusterCache.delete(token);
+  clusterCache.set(token, clusters);
+  if (clusterCache.size > MAX_CACHED_CLUSTER_SCANS) clusterCache.delete(clusterCache.keys().next().value);
+
+  return {
+    reply_markup: {
+      inline_keyboard: clusters.slice(0, 5).map(c => [{
+        text: `🕸️ Cluster #${c.id}: ${c.members.length} wallets, ${c.percent.toFixed(1)}%`,
+        callback_data: `cluster:${token}:${c.id}`
+      }])
+    }
+  };
+}
+
+// Expand a holder cluster from a report button
+bot.on("callback_query", async query => {
+  const [kind, token, id] = (query.data || "").split(":");
+  if (kind !== "cluster") return;
+
+  const cluster = (clusterCache.get(token) || []).find(c => c.id === Number(id));
+  if (!cluster) {
+    return bot.answerCallbackQuery(query.id, { text: "Cluster details expired - scan the token again." });
+  }
+  await bot.answerCallbackQuery(query.id);
+  await bot.sendMessage(query.message.chat.id, [
+    `🕸️ CLUSTER #${cluster.id} - ${cluster.percent.toFixed(2)}% of supply`,
+    `Signals: ${cluster.signals.join(", ")}`,
+    "",
+    ...cluster.members.map(m => `${m.address}: ${m.percent.toFixed(2)}%${m.label ? ` ${m.label}` : ""}${m.funder ? `\n  funded by ${m.funder}` : ""}`)
+  ].join("\n"));
 });
 
 // Handle token addresses
@@ -57,28 +177,171 @@ bot.on("message", async (msg) => {
     return bot.sendMessage(chatId, "⚠️ Invalid address.");
   }
 
-  if (!userLimiters.has(chatId)) {
-    userLimiters.set(chatId, new Bottleneck({ reservoir: 1, reservoirRefreshAmount: 1, reservoirRefreshInterval: 10000 }));
-  }
-
   try {
-    await globalLimiter.schedule(() =>
-      userLimiters.get(chatId).schedule(async () => {
-        log("Analyzing", { text, chatId });
-        await bot.sendMessage(chatId, "⏳ Analyzing...");
-        const result = await analyzeToken(text);
-        await bot.sendMessage(chatId, result, { parse_mode: "HTML" });
-      })
-    );
+    // Rate limited: shared global limiter + 1 scan per 10s per chat
+    await scheduleScan(chatId, async () => {
+      log("Analyzing", { text, chatId });
+      await bot.sendMessage(chatId, "⏳ Analyzing...");
+      const result = await analyzeTokenStructured(text);
+      // 🔥 FIXED: Long reports go out as several messages - the cluster buttons ride on the last one
+      const messages = splitTelegramMessage(renderReport(result, "telegram"));
+      for (const [i, message] of messages.entries()) {
+        await bot.sendMessage(chatId, message, {
+          parse_mode: "HTML",
+          ...(i === messages.length - 1 ? clusterKeyboard(result) : {})
+        });
+      }
+    });
   } catch (err) {
     log("Analysis failed", { text, chatId, error: err.message });
     await bot.sendMessage(chatId, err.message.includes("Too Many") ? "⚠️ Slow down! Try in 10s." : "⚠️ Error analyzing token.");
   }
 });
 
+// Handle /lockalert <address> [reminders]
+bot.onText(/^\/lockalert(?:@\w+)?(?:\s+(\S+))?(?:\s+(\S+))?$/, async (msg, match) => {
+  const chatId = msg.chat.id;
+  const [, address, reminderText] = match;
+  log("Received /lockalert", { chatId, address, reminderText });
+
+  if (!address || !ethers.isAddress(address)) {
+    return bot.sendMessage(chatId, `⚠️ Usage: /lockalert <token address> [reminders, e.g. ${DEFAULT_REMINDERS}]`);
+  }
+  const reminders = parseReminders(reminderText || DEFAULT_REMINDERS);
+  if (!reminders) {
+    return bot.sendMessage(chatId, "⚠️ Reminders must look like 7d,24h,1h (units: m, h, d, w).");
+  }
+
+  try {
+    const { lpPair, locks } = await subscribeLockAlerts(chatId, address, reminders);
+    const now = Math.floor(Date.now() / 1000);
+    const lines = locks.length > 0
+      ? locks.map(l => `• Lock #${l.lockId}: unlocks in ${formatDuration(l.unlockTime - now)} (${new Date(l.unlockTime * 1000).toUTCString()})`)
+      : ["• No active locks found yet - you'll still get lock event alerts"];
+    await bot.sendMessage(chatId, [
+      `🔔 LP unlock alerts on for pair ${lpPair}`,
+      `Reminders: ${reminders.map(r => r.label).join(", ")} before unlock`,
+      ...lines
+    ].join("\n"));
+  } catch (err) {
+    log("Lock alert subscribe failed", { chatId, address, error: err.message });
+    await bot.sendMessage(chatId, `⚠️ Could not subscribe: ${err.message}`);
+  }
+});
+
+// Handle /lockalert_stop <address>
+bot.onText(/^\/lockalert_stop(?:@\w+)?(?:\s+(\S+))?$/, (msg, match) => {
+  const chatId = msg.chat.id;
+  const address = match[1];
+  log("Received /lockalert_stop", { chatId, address });
+
+  if (!address || !ethers.isAddress(address)) {
+    return bot.sendMessage(chatId, "⚠️ Usage: /lockalert_stop <token address>");
+  }
+  bot.sendMessage(chatId, unsubscribeLockAlerts(chatId, address) ? "🔕 LP unlock alerts stopped." : "ℹ️ You have no LP unlock alerts for that token.");
+});
+
+// Handle /lockalerts
+bot.onText(/^\/lockalerts(?:@\w+)?$/, msg => {
+  const chatId = msg.chat.id;
+  log("Received /lockalerts", { chatId });
+
+  const subs = listLockAlerts(chatId);
+  if (subs.length === 0) {
+    return bot.sendMessage(chatId, "📭 No LP unlock alerts. Add one with /lockalert <address>.");
+  }
+  bot.sendMessage(chatId, [
+    "🔔 LP UNLOCK ALERTS",
+    ...subs.map((sub, i) => `${i + 1}. ${sub.token} (${sub.reminders.map(r => r.label).join(", ")})`)
+  ].join("\n"));
+});
+
+// Handle /tag <address> <tag> [note] (admin)
+bot.onText(/^\/tag(?:@\w+)?(?:\s+(\S+))?(?:\s+(\S+))?(?:\s+(.+))?$/, (msg, match) => {
+  const chatId = msg.chat.id;
+  const [, address, tag, note] = match;
+  log("Received /tag", { chatId, address, tag });
+
+  if (!isAdmin(chatId)) return bot.sendMessage(chatId, "⛔ Admins only.");
+  if (!address || !ethers.isAddress(address) || !REPUTATION_TAGS.includes(tag)) {
+    return bot.sendMessage(chatId, `⚠️ Usage: /tag <address> <${REPUTATION_TAGS.join("|")}> [note]`);
+  }
+  tagAddress(address, tag, { note: note || "", taggedBy: String(chatId) });
+  bot.sendMessage(chatId, `🏷️ ${ethers.getAddress(address)} tagged "${tag}".`);
+});
+
+// Handle /untag <address> (admin)
+bot.onText(/^\/untag(?:@\w+)?(?:\s+(\S+))?$/, (msg, match) => {
+  const chatId = msg.chat.id;
+  const address = match[1];
+  log("Received /untag", { chatId, address });
+
+  if (!isAdmin(chatId)) return bot.sendMessage(chatId, "⛔ Admins only.");
+  if (!address || !ethers.isAddress(address)) {
+    return bot.sendMessage(chatId, "⚠️ Usage: /untag <address>");
+  }
+  bot.sendMessage(chatId, untagAddress(address) ? "🗑️ Tag removed." : "ℹ️ That address has no tag.");
+});
+
+// Handle /template <address> <category> <name> (admin)
+bot.onText(/^\/template(?:@\w+)?(?:\s+(\S+))?(?:\s+(\S+))?(?:\s+(.+))?$/, async (msg, match) => {
+  const chatId = msg.chat.id;
+  const [, address, category, name] = match;
+  log("Received /template", { chatId, address, category, name });
+
+  if (!isAdmin(chatId)) return bot.sendMessage(chatId, "⛔ Admins only.");
+  if (!address || !ethers.isAddress(address) || !TEMPLATE_CATEGORIES.includes(category) || !name) {
+    return bot.sendMessage(chatId, `⚠️ Usage: /template <address> <${TEMPLATE_CATEGORIES.join("|")}> <name>`);
+  }
+  try {
+    const template = await addTemplate(address, { name: name.trim(), category, addedBy: String(chatId) });
+    bot.sendMessage(chatId, `🧬 Template "${template.id}" saved (${template.category}, ${template.selectors.length} selectors).`);
+  } catch (err) {
+    log("Template add failed", { chatId, address, error: err.message });
+    bot.sendMessage(chatId, `❌ ${err.message}`);
+  }
+});
+
+// Handle /untemplate <id> (admin)
+bot.onText(/^\/untemplate(?:@\w+)?(?:\s+(\S+))?$/, (msg, match) => {
+  const chatId = msg.chat.id;
+  const id = match[1];
+  log("Received /untemplate", { chatId, id });
+
+  if (!isAdmin(chatId)) return bot.sendMessage(chatId, "⛔ Admins only.");
+  if (!id) return bot.sendMessage(chatId, "⚠️ Usage: /untemplate <id>");
+  bot.sendMessage(chatId, removeTemplate(id) ? "🗑️ Template removed." : "ℹ️ No admin-added template with that id.");
+});
+
+// Handle /templates
+bot.onText(/^\/templates(?:@\w+)?$/, msg => {
+  const chatId = msg.chat.id;
+  log("Received /templates", { chatId });
+  bot.sendMessage(chatId, [
+    "🧬 BYTECODE TEMPLATES",
+    ...getTemplates().map(t => `• ${t.id} (${t.category})${t.bundled ? "" : ` - ${t.name}`}`)
+  ].join("\n"));
+});
+
+// Watchlist scheduler - pushes risk-change alerts to subscribed chats
+const watchScheduler = startWatchScheduler({
+  notify: (chatId, text) => bot.sendMessage(chatId, text).catch(err =>
+    log("Watch alert failed", { chatId, error: err.message })
+  )
+});
+
+// LP unlock reminders + locker event alerts
+const lockAlertScheduler = startLockAlertScheduler({
+  notify: (chatId, text) => bot.sendMessage(chatId, text).catch(err =>
+    log("Lock alert failed", { chatId, error: err.message })
+  )
+});
+
 // Graceful shutdown
 process.on("SIGTERM", () => {
   log("Shutting down", {});
+  watchScheduler.stop();
+  lockAlertScheduler.stop();
   bot.stopPolling();
   process.exit(0);
 });
@@ -0,0 +1,129 @@
+import { ethers } from "ethers";
+import { createRequire } from "module";
+
+const require = createRequire(import.meta.url);
+const signatureTable = require("./data/signatures.json");
+
+const OP_PUSH1 = 0x60;
+const OP_PUSH4 = 0x63;
+const OP_PUSH20 = 0x73;
+const OP_PUSH32 = 0x7f;
+const OP_EQ = 0x14;
+const OP_LT = 0x10;
+const OP_GT = 0x11;
+const OP_DUP1 = 0x80;
+const OP_SWAP16 = 0x9f;
+
+// selector -> [{ capability, label, severity, signature }]
+const SELECTOR_INDEX = new Map();
+for (const entry of signatureTable) {
+  for (const signature of entry.signatures) {
+    const selector = ethers.id(signature).slice(0, 10);
+    if (!SELECTOR_INDEX.has(selector)) SELECTOR_INDEX.set(selector, []);
+    SELECTOR_INDEX.get(selector).push({
+      capability: entry.capability,
+      label: entry.label,
+      severity: entry.severity,
+      signature
+    });
+  }
+}
+
+export function selectorOf(signature) {
+  return ethers.id(signature).slice(0, 10);
+}
+
+// Split runtime bytecode into opcodes, keeping PUSH immediates attached
+export function disassemble(code) {
+  const bytes = ethers.getBytes(code);
+  const ops = [];
+  for (let pc = 0; pc < bytes.length; pc++) {
+    const op = bytes[pc];
+    if (op >= OP_PUSH1 && op <= OP_PUSH32) {
+      const size = op - OP_PUSH1 + 1;
+      ops.push({ pc, op, push: ethers.hexlify(bytes.slice(pc + 1, pc + 1 + size)) });
+      pc += size;
+    } else {
+      ops.push({ pc, op });
+    }
+  }
+  return ops;
+}
+
+// Drop the trailing CBOR metadata (ipfs/bzzr hash + solc version) - its length is the last two bytes
+export function stripMetadata(code) {
+  const bytes = ethers.getBytes(code);
+  if (bytes.length < 2) return { bytes, stripped: false };
+  const length = (bytes[bytes.length - 2] << 8) | bytes[bytes.length - 1];
+  const start = bytes.length - 2 - length;
+  // A CBOR map header (0xa1-0xa5) right where the length says the metadata begins
+  if (length === 0 || start < 0 || bytes[start] < 0xa1 || bytes[start] > 0xa5) return { bytes, stripped: false };
+  return { bytes: bytes.slice(0, start), stripped: true };
+}
+
+// 🔥 NEW: Runtime code with everything that differs between clones of one contract zeroed out:
+// the metadata hash, PUSH32 immediates (immutables are patched in as PUSH32) and hardcoded PUSH20 addresses
+export function normalizeBytecode(code) {
+  const { bytes, stripped } = stripMetadata(code);
+  const normalized = new Uint8Array(bytes);
+  for (let pc = 0; pc < normalized.length; pc++) {
+    const op = normalized[pc];
+    if (op < OP_PUSH1 || op > OP_PUSH32) continue;
+    const size = op - OP_PUSH1 + 1;
+    if (op === OP_PUSH32 || op === OP_PUSH20) normalized.fill(0, pc + 1, pc + 1 + size);
+    pc += size;
+  }
+  return { normalized: ethers.hexlify(normalized), metadataStripped: stripped };
+}
+
+// 🔥 NEW: Pull 4-byte selectors out of the function dispatcher (PUSH4 <sel> [DUPn/SWAPn] EQ|GT|LT)
+export function extractSelectors(code) {
+  const selectors = new Set();
+  if (!code || code === "0x") return selectors;
+
+  const ops = disassemble(code);
+  for (let i = 0; i < ops.length; i++) {
+    if (ops[i].op !== OP_PUSH4) continue;
+
+    // solc may shuffle the stack between the PUSH4 and the comparison
+    for (let j = i + 1; j < Math.min(i + 4, ops.length); j++) {
+      const next = ops[j].op;
+      if (next === OP_EQ || next === OP_GT || next === OP_LT) {
+        selectors.add(ops[i].push.toLowerCase());
+        break;
+      }
+      if (next < OP_DUP1 || next > OP_SWAP16) break;
+    }
+  }
+
+  return selectors;
+}
+
+// Match dispatcher selectors against the bundled privileged-signature table
+export function analyzeBytecode(code) {
+  const selectors = extractSelectors(code);
+  const byCapability = new Map();
+
+  for (const selector of selectors) {
+    const matches = SELECTOR_INDEX.get(selector);
+    if (!matches) continue;
+
+    for (const match of matches) {
+      if (!byCapability.has(match.capability)) {
+        byCapability.set(match.capability, {
+          capability: match.capability,
+          label: match.label,
+          severity: match.severity,
+          matches: []
+        });
+      }
+      byCapability.get(match.capability).matches.push({ selector, signature: match.signature });
+    }
+  }
+
+  return {
+    selectorCount: selectors.size,
+    selectors: Array.from(selectors),
+    capabilities: Array.from(byCapability.values())
+  };
+}
@@ -0,0 +1,140 @@
+#!/usr/bin/env node
+import "dotenv/config";
+import fs from "fs";
+import { parseArgs } from "util";
+
+const USAGE = `Usage: besc-scan [options] <address...>
+
+Options:
+  -f, --file <path>        Read addresses from a file (one per line, # comments allowed)
+      --json               Print the structured JSON result (same as --format json)
+      --format <fmt>       Output format: text (default), md, html, json
+      --fail-above <pct>   Exit with code 2 if any token's risk % is above <pct>
+      --rpc <url>          Override RPC_URL
+      --explorer <url>     Override BLOCKSCOUT_API (Blockscout v2 API base URL)
+      --no-simulate        Skip the buy/sell honeypot simulation
+  -v, --verbose            Print analyzer logs to stderr
+  -h, --help               Show this help
+
+Exit codes: 0 = ok, 1 = usage or scan error, 2 = risk threshold exceeded`;
+
+const EXIT_OK = 0;
+const EXIT_ERROR = 1;
+const EXIT_RISK = 2;
+
+function fail(message) {
+  process.stderr.write(`besc-scan: ${message}\n\n${USAGE}\n`);
+  process.exit(EXIT_ERROR);
+}
+
+function readAddressFile(path) {
+  return fs.readFileSync(path, "utf8")
+    .split(/\r?\n/)
+    .map(line => line.replace(/#.*/, "").trim())
+    .filter(Boolean);
+}
+
+async function main() {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      allowPositionals: true,
+      options: {
+        file: { type: "string", short: "f" },
+        json: { type: "boolean" },
+        format: { type: "string" },
+        "fail-above": { type: "string" },
+        rpc: { type: "string" },
+        explorer: { type: "string" },
+        "no-simulate": { type: "boolean" },
+        verbose: { type: "boolean", short: "v" },
+        help: { type: "boolean", short: "h" }
+      }
+    });
+  } catch (err) {
+    fail(err.message);
+  }
+
+  const { values, positionals } = parsed;
+  if (values.help) {
+    process.stdout.write(`${USAGE}\n`);
+    return EXIT_OK;
+  }
+
+  const addresses = [...positionals];
+  if (values.file) {
+    try {
+      addresses.push(...readAddressFile(values.file));
+    } catch (err) {
+      fail(`cannot read ${values.file}: ${err.message}`);
+    }
+  }
+  if (addresses.length === 0) fail("no addresses given");
+
+  const format = values.json ? "json" : (values.format || "text");
+  const failAbove = values["fail-above"] !== undefined ? Number(values["fail-above"]) : null;
+  if (failAbove !== null && (isNaN(failAbove) || failAbove < 0 || failAbove > 100)) {
+    fail("--fail-above must be a percentage between 0 and 100");
+  }
+
+  // Overrides must be in place before the analyzer modules read the environment
+  if (values.rpc) process.env.RPC_URL = values.rpc;
+  if (values.explorer) process.env.BLOCKSCOUT_API = values.explorer;
+
+  // Analyzer logs are chatty - keep stdout clean for pipelines
+  const log = values.verbose ? (...args) => console.error(...args) : () => {};
+  console.log = log;
+  console.warn = log;
+  const reportError = console.error;
+  console.error = log;
+
+  const { ethers } = await import("ethers");
+  const { analyzeTokenStructured } = await import("./analyzer.js");
+  const { renderReport, listFormats } = await import("./renderers/index.js");
+
+  if (!listFormats().includes(format.toLowerCase())) {
+    fail(`unknown format "${format}" (available: ${listFormats().join(", ")})`);
+  }
+
+  let exitCode = EXIT_OK;
+  const results = [];
+  const outputs = [];
+
+  for (const address of addresses) {
+    if (!ethers.isAddress(address)) {
+      reportError(`besc-scan: skipping invalid address ${address}`);
+      exitCode = EXIT_ERROR;
+      continue;
+    }
+
+    try {
+      const result = await analyzeTokenStructured(address, { simulate: !values["no-simulate"] });
+      results.push(result);
+      if (format !== "json") outputs.push(renderReport(result, format));
+
+      const risk = result.riskAssessment.riskPercentage;
+      if (failAbove !== null && risk > failAbove) {
+        reportError(`besc-scan: ${address} risk ${risk}% is above --fail-above ${failAbove}%`);
+        if (exitCode === EXIT_OK) exitCode = EXIT_RISK;
+      }
+    } catch (err) {
+      reportError(`besc-scan: scan failed for ${address}: ${err.message}`);
+      exitCode = EXIT_ERROR;
+    }
+  }
+
+  if (format === "json") {
+    // One address -> a single AnalysisResult object, several -> an array of them
+    const payload = addresses.length === 1 ? (results[0] ?? null) : results;
+    process.stdout.write(`${JSON.stringify(payload, null, 2)}\n`);
+  } else {
+    process.stdout.write(`${outputs.join("\n\n" + "─".repeat(40) + "\n\n")}\n`);
+  }
+
+  return exitCode;
+}
+
+main().then(code => process.exit(code), err => {
+  process.stderr.write(`besc-scan: ${err.message}\n`);
+  process.exit(EXIT_ERROR);
+});
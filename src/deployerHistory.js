@@ -0,0 +1,180 @@
+import axios from "axios";
+import { ethers } from "ethers";
+import { tryRead } from "./utils.js";
+import { findAllPairs } from "./liquidity.js";
+import { getLiquidityHistory } from "./liquidityHistory.js";
+import { getFirstFunding } from "./holderClusters.js";
+import { getReputation, BAD_REPUTATION_TAGS } from "./reputation.js";
+
+const provider = new ethers.JsonRpcProvider(process.env.RPC_URL);
+const BASE_URL = process.env.BLOCKSCOUT_API || "https://explorer.beschyperchain.com/api/v2";
+const LEGACY_API_URL = BASE_URL.replace(/\/v2\/?$/, "");
+
+// Only the most recent deployments get the (expensive) outcome checks
+const MAX_PAST_TOKENS = 10;
+const RUG_WINDOW_SECONDS = 48 * 3600;
+// A pair whose LP supply is back at Uniswap V2's MINIMUM_LIQUIDITY has had every provider withdraw
+const MINIMUM_LIQUIDITY = 1000n;
+// Share of the base side added in the rug window that has to come back out to count as "LP pulled"
+const PULLED_RATIO = 0.8;
+// Funders that serve everyone say nothing about who is behind a deployer
+const SHARED_FUNDER_CATEGORIES = ["cex", "bridge", "router", "pair"];
+
+const BURN_OWNERS = [ethers.ZeroAddress, "0x000000000000000000000000000000000000dEaD"].map(a => a.toLowerCase());
+
+// Contracts created by `address`, newest first -> [{ address, blockNumber, timestamp }]
+async function fetchDeployedContracts(address) {
+  const res = await axios.get(LEGACY_API_URL, {
+    params: { module: "account", action: "txlist", address, sort: "desc", page: 1, offset: 1000 },
+    timeout: 10000
+  });
+  return (Array.isArray(res.data?.result) ? res.data.result : [])
+    .filter(tx => tx.contractAddress && !tx.to && tx.from.toLowerCase() === address.toLowerCase())
+    .map(tx => ({
+      address: ethers.getAddress(tx.contractAddress),
+      blockNumber: Number(tx.blockNumber),
+      timestamp: Number(tx.timeStamp)
+    }));
+}
+
+async function fetchTokenSummary(address) {
+  try {
+    const res = await axios.get(`${BASE_URL}/tokens/${address.toLowerCase()}`, { timeout: 5000 });
+    return {
+      name: res.data.name || "Unknown",
+      symbol: res.data.symbol || "?",
+      decimals: Number(res.data.decimals || 18),
+      holders: parseInt(res.data.holders_count ?? res.data.holders ?? "0") || 0
+    };
+  } catch {
+    return null; // not a token (or unknown to the explorer)
+  }
+}
+
+// Rough seconds per block from the last 1000 blocks, to turn the 48h rug window into a block range
+async function estimateBlockTime() {
+  const latest = await provider.getBlock("latest");
+  const earlier = await provider.getBlock(Math.max(0, latest.number - 1000));
+  const seconds = (Number(latest.timestamp) - Number(earlier.timestamp)) / Math.max(latest.number - earlier.number, 1);
+  return seconds > 0 ? seconds : 12;
+}
+
+async function checkPastToken(contract, summary, deployedBy, blockTime) {
+  const owner = await tryRead(() => new ethers.Contract(contract.address, ["function owner() view returns (address)"], provider).owner());
+  const renounced = owner ? BURN_OWNERS.includes(owner.toLowerCase()) : null;
+
+  let liquidityRemoved = null;
+  let lpPulledAfterSeconds = null;
+  const pairs = await findAllPairs(contract.address).catch(() => []);
+  if (pairs.length > 0) {
+    const main = pairs[0];
+    const lpSupply = await tryRead(() => new ethers.Contract(main.pair, ["function totalSupply() view returns (uint256)"], provider).totalSupply());
+    let history = null;
+    // Liquidity added and removed within 48h of deployment = classic pull
+    try {
+      history = await getLiquidityHistory(main.pair, contract.address, {
+        creation: { blockNumber: contract.blockNumber, timestamp: contract.timestamp },
+        tokenDecimals: summary.decimals,
+        toBlock: contract.blockNumber + Math.ceil(RUG_WINDOW_SECONDS / blockTime)
+      });
+      // 🔥 FIXED: Uncapped totals - the display timeline keeps only the newest events
+      const { addedBase, removedBase, lastRemovedAt } = history;
+      if (addedBase > 0n && Number((removedBase * 1000n) / addedBase) / 1000 >= PULLED_RATIO) {
+        lpPulledAfterSeconds = lastRemovedAt && contract.timestamp ? lastRemovedAt - Number(contract.timestamp) : null;
+      }
+    } catch (err) {
+      console.log(`Liquidity history failed for past token ${contract.address}:`, err.message);
+    }
+
+    // 🔥 FIXED: A pair that was never funded also has zero LP supply - only a funded pair can be drained.
+    // V2 pairs lock MINIMUM_LIQUIDITY forever on the first mint, so any non-zero supply proves funding
+    const funded = (lpSupply !== null && lpSupply > 0n) || (history !== null && history.totalAdds > 0);
+    liquidityRemoved = lpSupply !== null ? funded && lpSupply <= MINIMUM_LIQUIDITY : null;
+  }
+
+  const reputation = getReputation(contract.address);
+  const pulledFast = lpPulledAfterSeconds !== null && lpPulledAfterSeconds <= RUG_WINDOW_SECONDS;
+  let outcome = "active";
+  if (reputation && BAD_REPUTATION_TAGS.includes(reputation.tag)) outcome = "flagged";
+  else if (pulledFast || liquidityRemoved) outcome = "rugged";
+  else if (pairs.length === 0 || summary.holders < 10) outcome = "dead";
+
+  return {
+    address: contract.address,
+    name: summary.name,
+    symbol: summary.symbol,
+    deployedBy,
+    deployedAt: contract.timestamp,
+    holders: summary.holders,
+    renounced,
+    liquidityRemoved,
+    lpPulledAfterSeconds,
+    reputation: reputation ? reputation.tag : null,
+    outcome
+  };
+}
+
+function emptyHistory(reason, deployer = null) {
+  return {
+    analyzed: false,
+    reason,
+    deployer,
+    funder: null,
+    deployerReputation: null,
+    contractsDeployed: 0,
+    tokenCount: 0,
+    ruggedCount: 0,
+    pulledWithin48hCount: 0,
+    flaggedCount: 0,
+    tokens: []
+  };
+}
+
+// 🔥 NEW: Everything else the deployer (and the wallet that funded it) launched, and how it ended
+export async function analyzeDeployerHistory(tokenAddress, deployer, { labels = new Map() } = {}) {
+  if (!deployer || !ethers.isAddress(deployer)) return emptyHistory("Deployer unknown");
+
+  const funding = await getFirstFunding(deployer).catch(() => null);
+  const funderCategory = funding ? labels.get(funding.funder.toLowerCase())?.category : null;
+  const funder = funding && !SHARED_FUNDER_CATEGORIES.includes(funderCategory) ? funding.funder : null;
+
+  const deployments = [];
+  for (const [wallet, deployedBy] of [[deployer, "deployer"], [funder, "funder"]]) {
+    if (!wallet) continue;
+    try {
+      (await fetchDeployedContracts(wallet)).forEach(contract => deployments.push({ ...contract, deployedBy }));
+    } catch (err) {
+      console.log(`Deployment lookup failed for ${wallet}:`, err.message);
+    }
+  }
+
+  const others = deployments
+    .filter(c => c.address.toLowerCase() !== tokenAddress.toLowerCase())
+    .sort((a, b) => b.blockNumber - a.blockNumber);
+
+  const blockTime = others.length > 0 ? await estimateBlockTime().catch(() => 12) : 12;
+  const tokens = [];
+  for (const contract of others) {
+    if (tokens.length >= MAX_PAST_TOKENS) break;
+    const summary = await fetchTokenSummary(contract.address);
+    if (!summary) continue;
+    tokens.push(await checkPastToken(contract, summary, contract.deployedBy, blockTime));
+  }
+
+  const deployerTag = getReputation(deployer) || (funder ? getReputation(funder) : null);
+  const history = {
+    analyzed: true,
+    deployer: ethers.getAddress(deployer),
+    funder,
+    deployerReputation: deployerTag ? deployerTag.tag : null,
+    contractsDeployed: others.length,
+    tokenCount: tokens.length,
+    ruggedCount: tokens.filter(t => t.outcome === "rugged").length,
+    pulledWithin48hCount: tokens.filter(t => t.lpPulledAfterSeconds !== null && t.lpPulledAfterSeconds <= RUG_WINDOW_SECONDS).length,
+    flaggedCount: tokens.filter(t => t.outcome === "flagged").length,
+    tokens
+  };
+
+  console.log(`🕵️ Deployer ${deployer}: ${history.tokenCount} other tokens, ${history.ruggedCount} rugged, ${history.flaggedCount} flagged`);
+  return history;
+}
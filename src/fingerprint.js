@@ -0,0 +1,123 @@
+import { ethers } from "ethers";
+import { createRequire } from "module";
+import { extractSelectors, normalizeBytecode, selectorOf } from "./bytecode.js";
+import { detectProxy } from "./proxy.js";
+import { dataPath, loadJson, saveJson } from "./store.js";
+
+const require = createRequire(import.meta.url);
+const bundledTemplates = require("./data/bytecodeTemplates.json");
+
+const provider = new ethers.JsonRpcProvider(process.env.RPC_URL);
+const TEMPLATES_FILE = process.env.BYTECODE_TEMPLATES_FILE || dataPath("bytecodeTemplates.json");
+
+export const TEMPLATE_CATEGORIES = ["honeypot", "scam", "fee-token", "safe"];
+// Selector similarity below this is noise - every ERC20 shares the same dozen functions
+const MIN_SIMILARITY = 50;
+const MAX_MATCHES = 3;
+
+// Admin-added templates captured from live contracts:
+// { templates: { [id]: { id, name, category, hash, selectors, sourceAddress, addedBy, addedAt } } }
+let state = loadJson(TEMPLATES_FILE, { templates: {} });
+
+function persist() {
+  saveJson(TEMPLATES_FILE, state);
+}
+
+// Bundled templates only list signatures and have no code hash - they match on selectors alone
+export function getTemplates() {
+  const bundled = bundledTemplates.map(t => ({
+    id: t.id,
+    name: t.name,
+    category: t.category,
+    hash: null,
+    selectors: t.signatures.map(selectorOf),
+    bundled: true
+  }));
+  return [...bundled, ...Object.values(state.templates).map(t => ({ ...t, bundled: false }))];
+}
+
+// 🔥 NEW: Hash of the normalized runtime code plus its dispatcher selectors
+export function fingerprintBytecode(code) {
+  const { normalized, metadataStripped } = normalizeBytecode(code);
+  return {
+    hash: ethers.keccak256(normalized),
+    metadataStripped,
+    selectors: Array.from(extractSelectors(code))
+  };
+}
+
+// Jaccard index of two selector sets, as a percentage
+export function selectorSimilarity(a, b) {
+  const left = new Set(a);
+  const right = new Set(b);
+  const union = new Set([...left, ...right]).size;
+  if (union === 0) return 0;
+  const shared = [...left].filter(selector => right.has(selector)).length;
+  return Math.round((shared / union) * 1000) / 10;
+}
+
+// 🔥 NEW: Closest templates by exact normalized-code hash first, then selector-set similarity
+export function matchTemplates(fingerprint) {
+  const matches = getTemplates()
+    .map(template => {
+      const exact = !!template.hash && template.hash === fingerprint.hash;
+      return {
+        id: template.id,
+        name: template.name,
+        category: template.category,
+        similarity: exact ? 100 : selectorSimilarity(fingerprint.selectors, template.selectors),
+        exact
+      };
+    })
+    .filter(match => match.exact || match.similarity >= MIN_SIMILARITY)
+    .sort((a, b) => Number(b.exact) - Number(a.exact) || b.similarity - a.similarity)
+    .slice(0, MAX_MATCHES);
+
+  return {
+    hash: fingerprint.hash,
+    metadataStripped: fingerprint.metadataStripped,
+    selectorCount: fingerprint.selectors.length,
+    matches,
+    bestMatch: matches[0] || null
+  };
+}
+
+function templateId(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "");
+}
+
+// 🔥 NEW: Capture a live contract (the implementation, if it is a proxy) as a labelled template (admin-curated)
+export async function addTemplate(address, { name, category, addedBy = null }) {
+  if (!TEMPLATE_CATEGORIES.includes(category)) {
+    throw new Error(`Unknown category "${category}" (use ${TEMPLATE_CATEGORIES.join(", ")})`);
+  }
+  const id = templateId(name || "");
+  if (!id) throw new Error("Template name is required");
+  if (bundledTemplates.some(t => t.id === id)) throw new Error(`"${id}" is a bundled template`);
+
+  const proxyInfo = await detectProxy(address);
+  const sourceAddress = ethers.getAddress(proxyInfo.implementation || address);
+  const code = await provider.getCode(sourceAddress);
+  if (code === "0x") throw new Error(`${sourceAddress} is not a contract`);
+
+  const fingerprint = fingerprintBytecode(code);
+  state.templates[id] = {
+    id,
+    name,
+    category,
+    hash: fingerprint.hash,
+    selectors: fingerprint.selectors,
+    sourceAddress,
+    addedBy,
+    addedAt: new Date().toISOString()
+  };
+  persist();
+  return state.templates[id];
+}
+
+export function removeTemplate(id) {
+  if (!state.templates[id]) return false;
+  delete state.templates[id];
+  persist();
+  return true;
+}
@@ -0,0 +1,147 @@
+import axios from "axios";
+import { ethers } from "ethers";
+import { queryEventsInBatches } from "./utils.js";
+
+const provider = new ethers.JsonRpcProvider(process.env.RPC_URL);
+const BASE_URL = process.env.BLOCKSCOUT_API || "https://explorer.beschyperchain.com/api/v2";
+// Etherscan-style endpoint - the only Blockscout API that returns an address's transactions oldest first
+const LEGACY_API_URL = BASE_URL.replace(/\/v2\/?$/, "");
+
+// Only the largest holders are traced - each one costs two explorer calls
+const CLUSTER_TOP_HOLDERS = 20;
+// Funders that serve everyone (exchanges, bridges, routers) say nothing about who controls a wallet
+const SHARED_FUNDER_CATEGORIES = ["cex", "bridge", "router", "pair"];
+// Buys count as identical when they agree to this many significant digits
+const BUY_AMOUNT_PRECISION = 3;
+
+// Earliest incoming native transfer (normal or internal tx) -> { funder, blockNumber }
+export async function getFirstFunding(address) {
+  const fetchFirst = async action => {
+    const res = await axios.get(LEGACY_API_URL, {
+      params: { module: "account", action, address, sort: "asc", page: 1, offset: 5 },
+      timeout: 5000
+    });
+    return (Array.isArray(res.data?.result) ? res.data.result : [])
+      .find(tx => tx.to && tx.to.toLowerCase() === address.toLowerCase() && BigInt(tx.value || 0) > 0n);
+  };
+
+  const [normal, internal] = await Promise.all([
+    fetchFirst("txlist").catch(() => null),
+    fetchFirst("txlistinternal").catch(() => null)
+  ]);
+  const first = [normal, internal].filter(Boolean).sort((a, b) => Number(a.blockNumber) - Number(b.blockNumber))[0];
+  return first ? { funder: ethers.getAddress(first.from), blockNumber: Number(first.blockNumber) } : null;
+}
+
+// First token transfer each holder received - a buy from a pair, or tokens handed out by the deployer
+async function getFirstReceipts(tokenAddress, holders, fromBlock) {
+  const token = new ethers.Contract(tokenAddress, ["event Transfer(address indexed from, address indexed to, uint256 value)"], provider);
+  const events = await queryEventsInBatches(token, token.filters.Transfer(null, holders.map(h => h.address)), fromBlock, "latest");
+
+  const first = new Map();
+  for (const event of events.sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index)) {
+    const to = event.args.to.toLowerCase();
+    if (!first.has(to)) first.set(to, { from: event.args.from, value: event.args.value, blockNumber: event.blockNumber });
+  }
+  return first;
+}
+
+function roundSignificant(amount, decimals) {
+  return Number(Number(ethers.formatUnits(amount, decimals)).toPrecision(BUY_AMOUNT_PRECISION));
+}
+
+function shortAddress(address) {
+  return `${address.slice(0, 6)}...${address.slice(-4)}`;
+}
+
+// 🔥 NEW: Group top holders that look like one actor - shared first funder, same funding block,
+// identical buys, or tokens received straight from the deployer
+export async function detectHolderClusters(tokenAddress, holders, { deployer = null, fromBlock = null, decimals = 18, labels = new Map() } = {}) {
+  const tracked = holders.slice(0, CLUSTER_TOP_HOLDERS);
+  const empty = { analyzedHolders: tracked.length, clusters: [], clusteredPercent: 0 };
+  if (tracked.length < 2) return empty;
+
+  // Union-find over holder indexes, remembering why each pair of wallets was joined
+  const parent = tracked.map((_, i) => i);
+  const find = i => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  const linkSignals = new Map();
+  const link = (indexes, signal) => {
+    if (indexes.length < 2) return;
+    for (const i of indexes.slice(1)) parent[find(i)] = find(indexes[0]);
+    for (const i of indexes) {
+      if (!linkSignals.has(i)) linkSignals.set(i, new Set());
+      linkSignals.get(i).add(signal);
+    }
+  };
+  const groupBy = keyOf => {
+    const groups = new Map();
+    tracked.forEach((holder, i) => {
+      const key = keyOf(holder, i);
+      if (key === null || key === undefined) return;
+      groups.set(key, [...(groups.get(key) || []), i]);
+    });
+    return groups;
+  };
+
+  const fundings = [];
+  for (const holder of tracked) {
+    fundings.push(await getFirstFunding(holder.address));
+  }
+  // Without a known start block the Transfer scan would walk the whole chain - rely on funding signals only
+  let receipts = new Map();
+  if (fromBlock !== null) {
+    try {
+      receipts = await getFirstReceipts(tokenAddress, tracked, fromBlock);
+    } catch (err) {
+      console.log("Holder transfer scan failed:", err.message);
+    }
+  }
+
+  // Exchanges and bridges pay out to many unrelated wallets, often several in the same block
+  const isSharedFunder = funder => SHARED_FUNDER_CATEGORIES.includes(labels.get(funder.toLowerCase())?.category);
+  const ownFunding = i => (fundings[i] && !isSharedFunder(fundings[i].funder) ? fundings[i] : null);
+  for (const [funder, indexes] of groupBy((_, i) => ownFunding(i)?.funder ?? null)) {
+    link(indexes, `same funder ${shortAddress(funder)}`);
+  }
+  for (const [block, indexes] of groupBy((_, i) => ownFunding(i)?.blockNumber ?? null)) {
+    link(indexes, `funded in block ${block}`);
+  }
+
+  const isPair = address => labels.get(address.toLowerCase())?.category === "pair";
+  const buyOf = holder => {
+    const receipt = receipts.get(holder.address.toLowerCase());
+    return receipt && isPair(receipt.from) ? roundSignificant(receipt.value, decimals) : null;
+  };
+  for (const [amount, indexes] of groupBy(buyOf)) {
+    link(indexes, `identical buys of ~${amount.toLocaleString()}`);
+  }
+
+  const fromDeployer = holder => {
+    const receipt = receipts.get(holder.address.toLowerCase());
+    return deployer && receipt && receipt.from.toLowerCase() === deployer.toLowerCase() ? "deployer" : null;
+  };
+  for (const [, indexes] of groupBy(fromDeployer)) {
+    link(indexes, "received tokens from the deployer");
+  }
+
+  const clusters = Array.from(groupBy((_, i) => find(i)).values())
+    .filter(indexes => indexes.length >= 2)
+    .map(indexes => ({
+      members: indexes.map(i => ({
+        address: tracked[i].address,
+        percent: tracked[i].percent,
+        label: tracked[i].label || null,
+        funder: fundings[i] ? fundings[i].funder : null
+      })),
+      percent: indexes.reduce((sum, i) => sum + tracked[i].percent, 0),
+      signals: [...new Set(indexes.flatMap(i => [...(linkSignals.get(i) || [])]))]
+    }))
+    .sort((a, b) => b.percent - a.percent)
+    .map((cluster, i) => ({ id: i + 1, ...cluster }));
+
+  const clusteredPercent = clusters.reduce((sum, c) => sum + c.percent, 0);
+  if (clusters.length > 0) {
+    console.log(`🕸️ ${clusters.length} holder clusters control ${clusteredPercent.toFixed(1)}% of supply`);
+  }
+  return { analyzedHolders: tracked.length, clusters, clusteredPercent };
+}
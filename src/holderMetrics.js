@@ -0,0 +1,53 @@
+// Distribution metrics over a list of holders ({ amount: bigint }), largest first or not
+
+const TOP_N = [1, 5, 10, 50];
+
+// Holder share in percent of `total`, kept at 4 decimals so small wallets don't round to zero
+export function sharePercent(amount, total) {
+  if (!total || total <= 0n) return 0;
+  return Number((amount * 1000000n) / total) / 10000;
+}
+
+// Standard Gini over balances sorted ascending: G = 2·Σ(i·xᵢ) / (n·Σxᵢ) − (n + 1) / n
+export function calculateGiniCoefficient(holders) {
+  const n = holders.length;
+  if (n < 2) return 0;
+
+  const sorted = holders.map(h => h.amount).sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+  const sum = sorted.reduce((acc, x) => acc + x, 0n);
+  if (sum === 0n) return 0;
+
+  const weighted = sorted.reduce((acc, x, i) => acc + BigInt(i + 1) * x, 0n);
+  // Scale before dividing to keep precision in BigInt space
+  const ratio = Number((2n * weighted * 1000000n) / (BigInt(n) * sum)) / 1000000;
+  return Math.min(Math.max(ratio - (n + 1) / n, 0), 1);
+}
+
+// Smallest number of holders that together hold more than 50% of `total` (null if the list never gets there)
+export function calculateNakamotoCoefficient(holders, total) {
+  if (!total || total <= 0n) return null;
+
+  const sorted = [...holders].sort((a, b) => (b.amount > a.amount ? 1 : b.amount < a.amount ? -1 : 0));
+  let cumulative = 0n;
+  for (let i = 0; i < sorted.length; i++) {
+    cumulative += sorted[i].amount;
+    if (cumulative * 2n > total) return i + 1;
+  }
+  return null;
+}
+
+// Herfindahl-Hirschman index on percentage shares of `total`: 0 (dispersed) .. 10000 (single holder)
+export function calculateHHI(holders, total) {
+  if (!total || total <= 0n) return 0;
+  const hhi = holders.reduce((acc, h) => acc + sharePercent(h.amount, total) ** 2, 0);
+  return Math.round(hhi);
+}
+
+// Top-1/5/10/50 shares in percent of `total`
+export function calculateTopShares(holders, total) {
+  const sorted = [...holders].sort((a, b) => (b.amount > a.amount ? 1 : b.amount < a.amount ? -1 : 0));
+  return Object.fromEntries(TOP_N.map(n => [
+    `top${n}`,
+    sharePercent(sorted.slice(0, n).reduce((acc, h) => acc + h.amount, 0n), total)
+  ]));
+}
@@ -0,0 +1,116 @@
+import { ethers } from "ethers";
+import { queryEventsInBatches } from "./utils.js";
+import { getFirstFunding } from "./holderClusters.js";
+import { sharePercent } from "./holderMetrics.js";
+
+const provider = new ethers.JsonRpcProvider(process.env.RPC_URL);
+
+// Buys within this many blocks of PairCreated count as sniping
+const LAUNCH_WINDOW_BLOCKS = Number(process.env.LAUNCH_WINDOW_BLOCKS || 5);
+// Only the largest snipers get balance/funder lookups
+const MAX_TRACKED_SNIPERS = 30;
+// Share of the bought amount still in the wallet for "holding" / below which it "dumped"
+const HOLDING_RATIO = 0.9;
+const DUMPED_RATIO = 0.1;
+const TEAM_CATEGORIES = ["deployer", "owner", "privileged"];
+// Receivers that are plumbing, not buyers
+const NON_BUYER_CATEGORIES = ["burn", "token", "pair", "locker", "router"];
+
+const tokenAbi = [
+  "event Transfer(address indexed from, address indexed to, uint256 value)",
+  "function balanceOf(address) view returns (uint256)"
+];
+
+function emptyLaunch(reason) {
+  return {
+    analyzed: false,
+    reason,
+    windowBlocks: LAUNCH_WINDOW_BLOCKS,
+    sniperCount: 0,
+    snipedPercent: 0,
+    stillHeldPercent: 0,
+    holdingCount: 0,
+    dumpedCount: 0,
+    deployerLinkedCount: 0,
+    deployerLinkedPercent: 0,
+    snipers: []
+  };
+}
+
+function holdingStatus(current, bought) {
+  if (bought === 0n) return "holding";
+  const ratio = Number((current * 10000n) / bought) / 10000;
+  if (ratio >= HOLDING_RATIO) return "holding";
+  if (ratio <= DUMPED_RATIO) return "dumped";
+  return "partial";
+}
+
+// 🔥 NEW: Who bought in the first blocks after PairCreated, how much they took and whether they still hold
+export async function analyzeLaunch(tokenAddress, tokenInfo, { pairCreation, pairs = [], deployer = null, labels = new Map() } = {}) {
+  if (!pairCreation || !pairCreation.blockNumber) return emptyLaunch("Pair creation block unknown");
+  if (pairCreation.estimated) return emptyLaunch("Pair creation block could only be estimated");
+  if (pairs.length === 0) return emptyLaunch("No LP pairs");
+
+  const fromBlock = Number(pairCreation.blockNumber);
+  const toBlock = fromBlock + LAUNCH_WINDOW_BLOCKS - 1;
+  const token = new ethers.Contract(tokenAddress, tokenAbi, provider);
+
+  // Transfers out of a pair are buys (or LP removals, which don't happen in the launch window)
+  const events = await queryEventsInBatches(token, token.filters.Transfer(pairs.map(p => p.pair)), fromBlock, toBlock);
+
+  const buys = new Map();
+  for (const event of events) {
+    const { to, value } = event.args;
+    const known = labels.get(to.toLowerCase());
+    if (known && NON_BUYER_CATEGORIES.includes(known.category)) continue;
+
+    const entry = buys.get(to) || { address: to, bought: 0n, firstBlock: event.blockNumber, label: known ? known.label : null, category: known ? known.category : "wallet" };
+    entry.bought += value;
+    entry.firstBlock = Math.min(entry.firstBlock, event.blockNumber);
+    buys.set(to, entry);
+  }
+
+  const totalSupply = BigInt(tokenInfo.totalSupply || 0);
+  const buyers = Array.from(buys.values()).sort((a, b) => (b.bought > a.bought ? 1 : b.bought < a.bought ? -1 : 0));
+
+  const snipers = [];
+  for (const buyer of buyers.slice(0, MAX_TRACKED_SNIPERS)) {
+    const currentBalance = await token.balanceOf(buyer.address).catch(() => null);
+    const funding = await getFirstFunding(buyer.address).catch(() => null);
+    const fundedByDeployer = !!(deployer && funding && funding.funder.toLowerCase() === deployer.toLowerCase());
+
+    snipers.push({
+      address: buyer.address,
+      label: buyer.label,
+      block: buyer.firstBlock,
+      blocksAfterLaunch: buyer.firstBlock - fromBlock,
+      bought: buyer.bought,
+      boughtPercent: sharePercent(buyer.bought, totalSupply),
+      currentBalance,
+      currentPercent: currentBalance !== null ? sharePercent(currentBalance, totalSupply) : null,
+      status: currentBalance !== null ? holdingStatus(currentBalance, buyer.bought) : "unknown",
+      funder: funding ? funding.funder : null,
+      deployerLinked: TEAM_CATEGORIES.includes(buyer.category) || fundedByDeployer
+    });
+  }
+
+  const sumPercent = list => list.reduce((sum, s) => sum + s.boughtPercent, 0);
+  const deployerLinked = snipers.filter(s => s.deployerLinked);
+  const launch = {
+    analyzed: true,
+    fromBlock,
+    toBlock,
+    windowBlocks: LAUNCH_WINDOW_BLOCKS,
+    sniperCount: buyers.length,
+    snipedPercent: sharePercent(buyers.reduce((sum, b) => sum + b.bought, 0n), totalSupply),
+    stillHeldPercent: snipers.reduce((sum, s) => sum + Math.min(s.currentPercent || 0, s.boughtPercent), 0),
+    holdingCount: snipers.filter(s => s.status === "holding").length,
+    dumpedCount: snipers.filter(s => s.status === "dumped").length,
+    deployerLinkedCount: deployerLinked.length,
+    deployerLinkedPercent: sumPercent(deployerLinked),
+    snipers
+  };
+
+  console.log(`🎯 Launch: ${launch.sniperCount} snipers took ${launch.snipedPercent.toFixed(1)}% in ${LAUNCH_WINDOW_BLOCKS} blocks, ${launch.deployerLinkedCount} deployer-linked`);
+  return launch;
+}
@@ -0,0 +1,21 @@
+import Bottleneck from "bottleneck";
+
+// Shared scan rate limiting - one global limiter plus one limiter per caller (chat id, API key, ...)
+export const globalLimiter = new Bottleneck({ maxConcurrent: 3, minTime: 2000 });
+
+const callerLimiters = new Map();
+
+// Default per-caller budget: 1 scan per 10s (same as the Telegram bot has always used)
+const DEFAULT_CALLER_LIMITS = { reservoir: 1, reservoirRefreshAmount: 1, reservoirRefreshInterval: 10000 };
+
+export function getCallerLimiter(key, limits = DEFAULT_CALLER_LIMITS) {
+  if (!callerLimiters.has(key)) {
+    callerLimiters.set(key, new Bottleneck(limits));
+  }
+  return callerLimiters.get(key);
+}
+
+// 🔥 FIXED: Wait for the caller's own budget first - a caller out of reservoir must not hold a global slot
+export function scheduleScan(key, task, limits) {
+  return getCallerLimiter(key, limits).schedule(() => globalLimiter.schedule(task));
+}
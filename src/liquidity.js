@@ -0,0 +1,271 @@
+import fs from "fs";
+import path from "path";
+import { ethers } from "ethers";
+import { createRequire } from "module";
+import { tryRead } from "./utils.js";
+
+const require = createRequire(import.meta.url);
+const lpAbi = require("./abi/LP.json");
+const routerAbi = require("./abi/Router.json");
+const defaultDexConfig = require("./data/dexes.json");
+
+const provider = new ethers.JsonRpcProvider(process.env.RPC_URL);
+const ROUTER_ADDRESS = process.env.ROUTER_ADDRESS;
+const FACTORY_ADDRESS = process.env.FACTORY_ADDRESS;
+// Stablecoin treated as $1 - every USD figure is routed through its pair with the base token
+const STABLE_ADDRESS = process.env.BUSDC_ADDRESS;
+
+// ✅ Only check LPs against your chain's base tokens
+export const BASE_TOKENS = [
+  process.env.WBESC_ADDRESS,
+  process.env.MONEY_ADDRESS,
+  process.env.BUSDC_ADDRESS,
+].filter(Boolean);
+
+// How far back to look for a pair's PairCreated event
+const PAIR_CREATION_LOOKBACK = 50000;
+
+// Sell sizes for the price-impact table, in basis points of total supply (0.1%, 1%, 5%)
+const PRICE_IMPACT_BPS = [10n, 100n, 500n];
+// Liquidity is "thin" below this USD value, or when selling 1% of supply moves the price this much
+const THIN_LIQUIDITY_USD = Number(process.env.THIN_LIQUIDITY_USD || 10000);
+const THIN_LIQUIDITY_IMPACT = Number(process.env.THIN_LIQUIDITY_IMPACT || 20);
+
+const erc20Abi = [
+  "function decimals() view returns (uint8)",
+  "function symbol() view returns (string)"
+];
+
+function toNumber(amount, decimals) {
+  return Number(ethers.formatUnits(amount, decimals));
+}
+
+let dexes = null;
+
+// 🔥 NEW: Factory/router sets - FACTORY_ADDRESS/ROUTER_ADDRESS plus every entry in the DEX config
+// (DEXES_PATH, default src/data/dexes.json): { "dexes": [{ name, factory, router }] }
+export function getConfiguredDexes() {
+  if (dexes) return dexes;
+
+  let config = defaultDexConfig;
+  if (process.env.DEXES_PATH) {
+    try {
+      config = JSON.parse(fs.readFileSync(path.resolve(process.env.DEXES_PATH), "utf8"));
+    } catch (err) {
+      console.log("Custom DEX config failed to load, using defaults:", err.message);
+    }
+  }
+
+  const entries = [...(config.dexes || [])];
+  if (FACTORY_ADDRESS) {
+    entries.unshift({ name: "Primary DEX", factory: FACTORY_ADDRESS, router: ROUTER_ADDRESS });
+  }
+
+  const seen = new Set();
+  dexes = entries.filter(entry => {
+    if (!ethers.isAddress(entry.factory) || seen.has(entry.factory.toLowerCase())) return false;
+    seen.add(entry.factory.toLowerCase());
+    return true;
+  }).map(entry => ({
+    name: entry.name || entry.factory,
+    factory: ethers.getAddress(entry.factory),
+    router: entry.router && ethers.isAddress(entry.router) ? ethers.getAddress(entry.router) : null
+  }));
+
+  return dexes;
+}
+
+// 🔥 NEW: Every pair the token has across all configured DEXes and base tokens, largest pool first
+export async function findAllPairs(tokenAddress) {
+  const found = new Map();
+
+  for (const dex of getConfiguredDexes()) {
+    const factory = new ethers.Contract(dex.factory, ["function getPair(address, address) view returns (address)"], provider);
+    for (const baseToken of BASE_TOKENS) {
+      if (baseToken.toLowerCase() === tokenAddress.toLowerCase()) continue;
+      try {
+        const pair = await factory.getPair(tokenAddress, baseToken);
+        if (pair && pair !== ethers.ZeroAddress && !found.has(pair.toLowerCase())) {
+          found.set(pair.toLowerCase(), { pair, baseToken, dex });
+          console.log(`Found LP pair ${pair} with base ${baseToken} on ${dex.name}`);
+        }
+      } catch (pairErr) {
+        console.log(`Pair lookup failed on ${dex.name} for base ${baseToken}:`, pairErr.message);
+      }
+    }
+  }
+
+  // The token may also advertise its own pair (e.g. created against a base token we don't list)
+  const ownPair = await tryRead(() => new ethers.Contract(tokenAddress, ["function pair() view returns (address)"], provider).pair());
+  if (ownPair && ownPair !== ethers.ZeroAddress && !found.has(ownPair.toLowerCase())) {
+    const pairFactory = await tryRead(() => new ethers.Contract(ownPair, ["function factory() view returns (address)"], provider).factory());
+    const dex = getConfiguredDexes().find(d => pairFactory && d.factory.toLowerCase() === pairFactory.toLowerCase())
+      || { name: "Unknown DEX", factory: pairFactory || null, router: ROUTER_ADDRESS || null };
+    found.set(ownPair.toLowerCase(), { pair: ownPair, baseToken: null, dex });
+    console.log(`Found LP pair via token contract: ${ownPair}`);
+  }
+
+  const pairs = [];
+  for (const entry of found.values()) {
+    try {
+      const { baseToken, reserveToken } = await readPairReserves(entry.pair, tokenAddress);
+      pairs.push({ ...entry, baseToken, reserveToken });
+    } catch (err) {
+      console.log(`Skipping ${entry.pair} - not a readable V2 pair:`, err.message);
+    }
+  }
+
+  return pairs.sort((a, b) => (b.reserveToken > a.reserveToken ? 1 : b.reserveToken < a.reserveToken ? -1 : 0));
+}
+
+const pairCreationCache = new Map();
+
+// 🔥 NEW: Block and time a pair was created, from its factory's PairCreated event (cached per pair)
+export async function getPairCreation(pair, factoryAddress) {
+  const key = pair.toLowerCase();
+  if (pairCreationCache.has(key)) return pairCreationCache.get(key);
+
+  let info = null;
+  if (factoryAddress) {
+    try {
+      const factory = new ethers.Contract(factoryAddress, [
+        "event PairCreated(address indexed token0, address indexed token1, address pair, uint)"
+      ], provider);
+      const lp = new ethers.Contract(pair, lpAbi, provider);
+      const [token0, token1] = await Promise.all([lp.token0(), lp.token1()]);
+      const latestBlock = await provider.getBlockNumber();
+      const fromBlock = Math.max(0, latestBlock - PAIR_CREATION_LOOKBACK);
+      // Only token0/token1 are indexed - the pair address is matched on the decoded args
+      const events = (await factory.queryFilter(factory.filters.PairCreated(token0, token1), fromBlock, "latest"))
+        .filter(event => event.args.pair.toLowerCase() === key);
+
+      if (events.length > 0) {
+        const event = events[0];
+        const block = await provider.getBlock(event.blockNumber);
+        console.log(`✅ Found pair creation for ${pair}: block ${event.blockNumber}, timestamp ${block.timestamp}`);
+        info = {
+          blockNumber: event.blockNumber,
+          timestamp: block.timestamp,
+          txHash: event.transactionHash,
+          pairAddress: pair
+        };
+      }
+    } catch (err) {
+      console.log(`PairCreated lookup failed for ${pair}:`, err.message);
+    }
+  }
+
+  pairCreationCache.set(key, info);
+  return info;
+}
+
+// Reserves of a V2 pair ordered as (token, base)
+async function readPairReserves(lpPair, tokenAddress) {
+  const pair = new ethers.Contract(lpPair, lpAbi, provider);
+  const [token0, token1, reserves] = await Promise.all([pair.token0(), pair.token1(), pair.getReserves()]);
+  const tokenIsToken0 = token0.toLowerCase() === tokenAddress.toLowerCase();
+  return {
+    baseToken: tokenIsToken0 ? token1 : token0,
+    reserveToken: tokenIsToken0 ? reserves[0] : reserves[1],
+    reserveBase: tokenIsToken0 ? reserves[1] : reserves[0]
+  };
+}
+
+// 🔥 NEW: USD price of a base token via its pair with the configured stablecoin (BUSDC)
+export async function getBaseUsdPrice(baseToken, factoryAddress = FACTORY_ADDRESS) {
+  if (!STABLE_ADDRESS) return null;
+  if (baseToken.toLowerCase() === STABLE_ADDRESS.toLowerCase()) return 1;
+  if (!factoryAddress) return null;
+
+  try {
+    const factory = new ethers.Contract(factoryAddress, ["function getPair(address, address) view returns (address)"], provider);
+    const stablePair = await factory.getPair(baseToken, STABLE_ADDRESS);
+    if (!stablePair || stablePair === ethers.ZeroAddress) return null;
+
+    const { reserveToken, reserveBase } = await readPairReserves(stablePair, baseToken);
+    if (reserveToken === 0n) return null;
+
+    const [baseDecimals, stableDecimals] = await Promise.all([
+      new ethers.Contract(baseToken, erc20Abi, provider).decimals(),
+      new ethers.Contract(STABLE_ADDRESS, erc20Abi, provider).decimals()
+    ]);
+    return toNumber(reserveBase, stableDecimals) / toNumber(reserveToken, baseDecimals);
+  } catch (err) {
+    console.log(`USD price lookup failed for ${baseToken}:`, err.message);
+    return null;
+  }
+}
+
+// 🔥 NEW: Sell-side price impact for fixed slices of supply, quoted by the router against the spot price
+async function quotePriceImpact(tokenAddress, baseToken, totalSupply, reserveToken, reserveBase, routerAddress) {
+  if (!routerAddress || reserveToken === 0n) return [];
+  const router = new ethers.Contract(routerAddress, routerAbi, provider);
+
+  const table = [];
+  for (const bps of PRICE_IMPACT_BPS) {
+    const amountIn = (totalSupply * bps) / 10000n;
+    if (amountIn === 0n) continue;
+
+    const spotOut = (amountIn * reserveBase) / reserveToken;
+    const amounts = await tryRead(() => router.getAmountsOut(amountIn, [tokenAddress, baseToken]));
+    const amountOut = amounts ? amounts[amounts.length - 1] : null;
+    table.push({
+      percentOfSupply: Number(bps) / 100,
+      amountIn,
+      amountOut,
+      // Includes the pool's swap fee
+      impactPercent: amountOut !== null && spotOut > 0n
+        ? Math.max(0, Number(((spotOut - amountOut) * 10000n) / spotOut) / 100)
+        : null
+    });
+  }
+  return table;
+}
+
+// 🔥 NEW: Pooled amounts, price, USD value and price impact for one LP pair
+export async function analyzePairDepth(tokenAddress, tokenInfo, lpPair, { routerAddress = ROUTER_ADDRESS, factoryAddress = FACTORY_ADDRESS } = {}) {
+  const { baseToken, reserveToken, reserveBase } = await readPairReserves(lpPair, tokenAddress);
+  const baseContract = new ethers.Contract(baseToken, erc20Abi, provider);
+  const baseDecimals = Number(await tryRead(() => baseContract.decimals()) ?? 18);
+  const baseSymbol = await tryRead(() => baseContract.symbol()) || "BASE";
+
+  const pooledToken = toNumber(reserveToken, tokenInfo.decimals);
+  const pooledBase = toNumber(reserveBase, baseDecimals);
+  const priceInBase = pooledToken > 0 ? pooledBase / pooledToken : 0;
+
+  const baseUsdPrice = await getBaseUsdPrice(baseToken, factoryAddress);
+  const priceUsd = baseUsdPrice !== null ? priceInBase * baseUsdPrice : null;
+  // Both sides of a V2 pool are worth the same at the pool price
+  const liquidityUsd = baseUsdPrice !== null ? pooledBase * baseUsdPrice * 2 : null;
+
+  const priceImpact = await quotePriceImpact(tokenAddress, baseToken, BigInt(tokenInfo.totalSupply || 0), reserveToken, reserveBase, routerAddress);
+  const onePercentImpact = priceImpact.find(row => row.percentOfSupply === 1)?.impactPercent ?? null;
+
+  let thinReason = null;
+  if (reserveBase === 0n) {
+    thinReason = "Pool holds no base token";
+  } else if (liquidityUsd !== null && liquidityUsd < THIN_LIQUIDITY_USD) {
+    thinReason = `Only $${Math.round(liquidityUsd).toLocaleString()} of liquidity (< $${THIN_LIQUIDITY_USD.toLocaleString()})`;
+  } else if (onePercentImpact !== null && onePercentImpact >= THIN_LIQUIDITY_IMPACT) {
+    thinReason = `Selling 1% of supply moves the price ${onePercentImpact.toFixed(1)}%`;
+  }
+
+  console.log(`💧 Depth for ${lpPair}: ${pooledToken} ${tokenInfo.symbol} + ${pooledBase} ${baseSymbol}, liquidity ${liquidityUsd !== null ? `$${liquidityUsd.toFixed(0)}` : "USD unknown"}`);
+
+  return {
+    baseToken,
+    baseSymbol,
+    baseDecimals,
+    reserveToken,
+    reserveBase,
+    pooledToken,
+    pooledBase,
+    priceInBase,
+    baseUsdPrice,
+    priceUsd,
+    liquidityUsd,
+    priceImpact,
+    thinLiquidity: thinReason !== null,
+    thinReason
+  };
+}
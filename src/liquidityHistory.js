@@ -0,0 +1,114 @@
+import { ethers } from "ethers";
+import { createRequire } from "module";
+import { queryEventsInBatches } from "./utils.js";
+
+const require = createRequire(import.meta.url);
+const lpAbi = require("./abi/LP.json");
+
+const provider = new ethers.JsonRpcProvider(process.env.RPC_URL);
+
+// A pair losing at least this share of its base reserves within 24h is treated as a rug in progress
+export const RUG_REMOVAL_PERCENT = Number(process.env.LIQUIDITY_REMOVAL_ALERT_PERCENT || 20);
+const RUG_WINDOW_SECONDS = 24 * 3600;
+// Only the most recent events get tx/block lookups (actor + timestamp)
+const MAX_TIMELINE_EVENTS = 50;
+// Without a known creation block, look back this far
+const HISTORY_LOOKBACK_BLOCKS = 50000;
+
+// LP.json's Mint carries an indexed `to`; stock Uniswap V2 pairs emit Mint without it
+const STANDARD_MINT_ABI = ["event Mint(address indexed sender, uint256 amount0, uint256 amount1)"];
+
+async function fetchLiquidityEvents(pair, fromBlock, toBlock = "latest") {
+  const lp = new ethers.Contract(pair, lpAbi, provider);
+  const standardLp = new ethers.Contract(pair, STANDARD_MINT_ABI, provider);
+
+  const [mints, standardMints, burns] = [
+    await queryEventsInBatches(lp, lp.filters.Mint(), fromBlock, toBlock),
+    await queryEventsInBatches(standardLp, standardLp.filters.Mint(), fromBlock, toBlock),
+    await queryEventsInBatches(lp, lp.filters.Burn(), fromBlock, toBlock)
+  ];
+
+  return [
+    ...[...mints, ...standardMints].map(event => ({ type: "add", event })),
+    ...burns.map(event => ({ type: "remove", event }))
+  ].sort((a, b) => b.event.blockNumber - a.event.blockNumber || b.event.index - a.event.index);
+}
+
+// 🔥 NEW: Liquidity add/remove timeline for a pair + recent removals against current reserves
+export async function getLiquidityHistory(pair, tokenAddress, { creation, tokenDecimals = 18, baseDecimals = 18, reserveBase = null, toBlock = "latest" } = {}) {
+  const latestBlock = await provider.getBlockNumber();
+  const fromBlock = creation && creation.blockNumber ? creation.blockNumber : Math.max(0, latestBlock - HISTORY_LOOKBACK_BLOCKS);
+
+  const lp = new ethers.Contract(pair, lpAbi, provider);
+  const tokenIsToken0 = (await lp.token0()).toLowerCase() === tokenAddress.toLowerCase();
+
+  const raw = await fetchLiquidityEvents(pair, fromBlock, toBlock);
+  const blockTimes = new Map();
+  const blockTime = async blockNumber => {
+    if (!blockTimes.has(blockNumber)) {
+      const block = await provider.getBlock(blockNumber);
+      blockTimes.set(blockNumber, block ? Number(block.timestamp) : null);
+    }
+    return blockTimes.get(blockNumber);
+  };
+  const now = Math.floor(Date.now() / 1000);
+
+  const events = [];
+  for (const { type, event } of raw.slice(0, MAX_TIMELINE_EVENTS)) {
+    const timestamp = await blockTime(event.blockNumber);
+    // sender/to are usually the router - the wallet behind the liquidity change signed the tx
+    const tx = await provider.getTransaction(event.transactionHash).catch(() => null);
+    const { amount0, amount1 } = event.args;
+
+    events.push({
+      type,
+      actor: tx ? tx.from : event.args.sender,
+      tokenAmount: tokenIsToken0 ? amount0 : amount1,
+      baseAmount: tokenIsToken0 ? amount1 : amount0,
+      tokenAmountFormatted: Number(ethers.formatUnits(tokenIsToken0 ? amount0 : amount1, tokenDecimals)),
+      baseAmountFormatted: Number(ethers.formatUnits(tokenIsToken0 ? amount1 : amount0, baseDecimals)),
+      blockNumber: event.blockNumber,
+      timestamp,
+      sinceCreationSeconds: timestamp && creation && creation.timestamp ? timestamp - Number(creation.timestamp) : null,
+      txHash: event.transactionHash
+    });
+  }
+
+  // 🔥 FIXED: 24h sums walk every event (newest first) until the window ends - the timeline cap is display-only
+  let removedBase24h = 0n;
+  let addedBase24h = 0n;
+  for (const { type, event } of raw) {
+    const timestamp = await blockTime(event.blockNumber);
+    if (timestamp === null) continue;
+    if (now - timestamp > RUG_WINDOW_SECONDS) break;
+    const baseAmount = tokenIsToken0 ? event.args.amount1 : event.args.amount0;
+    if (type === "remove") removedBase24h += baseAmount;
+    else addedBase24h += baseAmount;
+  }
+
+  // Reserves 24h ago ≈ current reserves + what was removed since - what was added since (ignores swaps)
+  const reservesBefore = reserveBase !== null ? reserveBase + removedBase24h - addedBase24h : 0n;
+  const removedPercent24h = reservesBefore > 0n ? Number((removedBase24h * 10000n) / reservesBefore) / 100 : 0;
+  const rugInProgress = removedPercent24h >= RUG_REMOVAL_PERCENT;
+
+  if (rugInProgress) {
+    console.log(`🚨 ${removedPercent24h.toFixed(1)}% of ${pair} base reserves removed in the last 24h`);
+  }
+
+  // Uncapped totals over every event in range (base token), for callers that judge the whole history
+  const baseTotal = type => raw
+    .filter(e => e.type === type)
+    .reduce((sum, { event }) => sum + (tokenIsToken0 ? event.args.amount1 : event.args.amount0), 0n);
+  const lastRemove = raw.find(e => e.type === "remove");
+
+  return {
+    totalAdds: raw.filter(e => e.type === "add").length,
+    totalRemoves: raw.filter(e => e.type === "remove").length,
+    addedBase: baseTotal("add"),
+    removedBase: baseTotal("remove"),
+    lastRemovedAt: lastRemove ? await blockTime(lastRemove.event.blockNumber) : null,
+    events,
+    removedPercent24h,
+    rugInProgress
+  };
+}
@@ -0,0 +1,259 @@
+import { ethers } from "ethers";
+import { createRequire } from "module";
+import { getLpLocks } from "./analyzer.js";
+import { getConfiguredLockers } from "./lockers/index.js";
+import { dataPath, loadJson, saveJson } from "./store.js";
+import { parseDuration, formatDuration } from "./utils.js";
+
+const require = createRequire(import.meta.url);
+const lockerAbi = require("./abi/Locker.json");
+
+const provider = new ethers.JsonRpcProvider(process.env.RPC_URL);
+const LOCKER_ADDRESS = process.env.LOCKER_ADDRESS;
+
+const LOCK_ALERTS_FILE = process.env.LOCK_ALERTS_FILE || dataPath("lock-alerts.json");
+const LOCK_CHECK_INTERVAL_MINUTES = Number(process.env.LOCK_CHECK_INTERVAL_MINUTES || 5);
+export const DEFAULT_REMINDERS = process.env.LOCK_REMINDERS || "7d,24h,1h";
+
+// Max blocks scanned per eth_getLogs request while catching up on locker events
+const MAX_BLOCK_RANGE = 2000;
+// Reminder keys remembered per subscription - the oldest are dropped first
+const MAX_SENT_KEYS = 100;
+
+// {
+//   lastBlock,
+//   subscriptions: [{ chatId, token, lpPair, reminders: [{ label, seconds }], sent: [key] }],
+//   locks: { [lpPair]: [{ locker, lockerAddress, user, lockedBy, lockId, amount, unlockTime, unlocked }] }
+//   (user is the current holder of the lock, lockedBy the wallet that created it),
+//   trackedFrom: { [lpPair]: block the lock snapshot was taken at - older events are already in it }
+// }
+let state = loadJson(LOCK_ALERTS_FILE, { lastBlock: null, subscriptions: [], locks: {}, trackedFrom: {} });
+state.trackedFrom = state.trackedFrom || {};
+
+function persist() {
+  saveJson(LOCK_ALERTS_FILE, state);
+}
+
+export function parseReminders(text) {
+  const reminders = String(text).split(",").map(label => label.trim()).filter(Boolean)
+    .map(label => ({ label, seconds: parseDuration(label) }));
+  if (reminders.length === 0 || reminders.some(r => !r.seconds)) return null;
+  return reminders.sort((a, b) => b.seconds - a.seconds);
+}
+
+export function listLockAlerts(chatId) {
+  return state.subscriptions.filter(sub => sub.chatId === String(chatId));
+}
+
+// 🔥 NEW: Subscribe a chat to unlock reminders + lock events for a token's LP pair
+export async function subscribeLockAlerts(chatId, tokenAddress, reminders = parseReminders(DEFAULT_REMINDERS)) {
+  const token = ethers.getAddress(tokenAddress);
+  const lockInfo = await getLpLocks(token);
+  if (!lockInfo.lpPair) {
+    throw new Error("No LP pair found for this token");
+  }
+
+  const lpPair = ethers.getAddress(lockInfo.lpPair);
+  const head = await provider.getBlockNumber();
+  // 🔥 FIXED: Nothing was tracked, so nothing since lastBlock is worth replaying
+  if (state.lastBlock === null || Object.keys(state.locks).length === 0) {
+    state.lastBlock = head;
+  }
+  state.trackedFrom[lpPair] = head;
+  state.locks[lpPair] = lockInfo.locks.filter(lock => lock.status === "active").map(lock => ({
+    locker: lock.locker,
+    lockerAddress: lock.lockerAddress,
+    user: lock.user,
+    lockedBy: lock.user,
+    lockId: Number(lock.lockId),
+    amount: lock.amount.toString(),
+    unlockTime: Number(lock.unlockTime),
+    unlocked: false
+  }));
+
+  const existing = state.subscriptions.find(sub => sub.chatId === String(chatId) && sub.token === token);
+  if (existing) {
+    existing.reminders = reminders;
+  } else {
+    state.subscriptions.push({ chatId: String(chatId), token, lpPair, reminders, sent: [] });
+  }
+  persist();
+
+  return { token, lpPair, locks: state.locks[lpPair] };
+}
+
+export function unsubscribeLockAlerts(chatId, tokenAddress) {
+  const token = ethers.getAddress(tokenAddress);
+  const before = state.subscriptions.length;
+  state.subscriptions = state.subscriptions.filter(sub => !(sub.chatId === String(chatId) && sub.token === token));
+
+  // Forget lock data for pairs nobody follows any more
+  for (const lpPair of Object.keys(state.locks)) {
+    if (!state.subscriptions.some(sub => sub.lpPair === lpPair)) {
+      delete state.locks[lpPair];
+      delete state.trackedFrom[lpPair];
+    }
+  }
+  persist();
+  return state.subscriptions.length < before;
+}
+
+function describeLock(lock) {
+  return `${lock.locker || "lock"} #${lock.lockId} by ${lock.user} (${ethers.formatEther(BigInt(lock.amount))} LP)`;
+}
+
+function markSent(sub, key) {
+  sub.sent.push(key);
+  if (sub.sent.length > MAX_SENT_KEYS) sub.sent = sub.sent.slice(-MAX_SENT_KEYS);
+}
+
+// Countdown reminders: only the closest due reminder is sent, larger ones are marked as passed
+async function sendDueReminders(notify) {
+  const now = Math.floor(Date.now() / 1000);
+
+  for (const sub of state.subscriptions) {
+    for (const lock of state.locks[sub.lpPair] || []) {
+      if (lock.unlocked) continue;
+      const remaining = lock.unlockTime - now;
+      // Keyed on the original locker so a transfer does not re-send reminders
+      const lockKey = `${lock.lockedBy || lock.user}:${lock.lockId}:${lock.unlockTime}`;
+
+      if (remaining <= 0) {
+        const key = `${lockKey}:expired`;
+        if (!sub.sent.includes(key)) {
+          markSent(sub, key);
+          await notify(sub.chatId, `🔓 LP LOCK EXPIRED for ${sub.token}\n${describeLock(lock)} can now be withdrawn.`);
+        }
+        continue;
+      }
+
+      const due = sub.reminders.filter(r => remaining <= r.seconds && !sub.sent.includes(`${lockKey}:${r.label}`));
+      if (due.length === 0) continue;
+
+      due.forEach(r => markSent(sub, `${lockKey}:${r.label}`));
+      await notify(sub.chatId, [
+        `⏰ LP UNLOCK IN ${formatDuration(remaining)} for ${sub.token}`,
+        describeLock(lock),
+        `Unlocks: ${new Date(lock.unlockTime * 1000).toUTCString()}`
+      ].join("\n"));
+    }
+  }
+}
+
+function findTrackedLock(user, lockId) {
+  for (const [lpPair, locks] of Object.entries(state.locks)) {
+    const lock = locks.find(l =>
+      (!l.lockerAddress || l.lockerAddress.toLowerCase() === LOCKER_ADDRESS.toLowerCase()) &&
+      l.user.toLowerCase() === user.toLowerCase() && l.lockId === lockId
+    );
+    if (lock) return { lpPair, lock };
+  }
+  return null;
+}
+
+async function notifyPair(notify, lpPair, text) {
+  for (const sub of state.subscriptions.filter(s => s.lpPair === lpPair)) {
+    await notify(sub.chatId, `${text}\nToken: ${sub.token}`);
+  }
+}
+
+function lockerName() {
+  return getConfiguredLockers().find(entry => entry.address.toLowerCase() === LOCKER_ADDRESS.toLowerCase())?.name || null;
+}
+
+// 🔥 NEW: Immediate alerts for Unlocked / EmergencyWithdraw / LockExtended on tracked LP pairs
+// (event alerts cover the BESC locker; other lockers get countdown reminders only)
+async function processLockerEvents(notify) {
+  if (!LOCKER_ADDRESS) return;
+
+  const latestBlock = await provider.getBlockNumber();
+  if (state.lastBlock === null || Object.keys(state.locks).length === 0) {
+    state.lastBlock = latestBlock;
+    return;
+  }
+
+  const locker = new ethers.Contract(LOCKER_ADDRESS, lockerAbi, provider);
+  const byChainOrder = (a, b) => a.blockNumber - b.blockNumber || a.index - b.index;
+  // Events up to a pair's snapshot block are already reflected in its tracked locks
+  const isNew = (lpPair, event) => event.blockNumber > (state.trackedFrom[lpPair] ?? -1);
+
+  while (state.lastBlock < latestBlock) {
+    const fromBlock = state.lastBlock + 1;
+    const toBlock = Math.min(fromBlock + MAX_BLOCK_RANGE - 1, latestBlock);
+
+    // 🔥 FIXED: One chain-ordered pass, so a lock transferred (or created) in this range is matched by later events
+    const events = (await Promise.all(
+      ["Locked", "LockTransferred", "LockExtended", "Unlocked", "EmergencyWithdraw"]
+        .map(eventName => locker.queryFilter(locker.filters[eventName](), fromBlock, toBlock))
+    )).flat().sort(byChainOrder);
+
+    for (const event of events) {
+      if (event.eventName === "Locked") {
+        const { user, amount, unlockTime, token, lockId } = event.args;
+        const lpPair = ethers.getAddress(token);
+        if (!state.locks[lpPair] || !isNew(lpPair, event) || findTrackedLock(user, Number(lockId))) continue;
+
+        const lock = {
+          locker: lockerName(),
+          lockerAddress: LOCKER_ADDRESS,
+          user,
+          lockedBy: user,
+          lockId: Number(lockId),
+          amount: amount.toString(),
+          unlockTime: Number(unlockTime),
+          unlocked: false
+        };
+        state.locks[lpPair].push(lock);
+        await notifyPair(notify, lpPair, `🔒 NEW LP LOCK: ${describeLock(lock)} until ${new Date(lock.unlockTime * 1000).toUTCString()}\nTx: ${event.transactionHash}`);
+      } else if (event.eventName === "LockTransferred") {
+        const { from, to, lockId } = event.args;
+        const tracked = findTrackedLock(from, Number(lockId));
+        if (!tracked || !isNew(tracked.lpPair, event)) continue;
+
+        tracked.lock.user = to;
+        await notifyPair(notify, tracked.lpPair, `🔁 LP LOCK TRANSFERRED: lock #${lockId} moved from ${from} to ${to}\nTx: ${event.transactionHash}`);
+      } else if (event.eventName === "LockExtended") {
+        const { user, lockId, newUnlockTime } = event.args;
+        const tracked = findTrackedLock(user, Number(lockId));
+        if (!tracked || !isNew(tracked.lpPair, event)) continue;
+
+        tracked.lock.unlockTime = Number(newUnlockTime);
+        await notifyPair(notify, tracked.lpPair, `✅ LP LOCK EXTENDED: lock #${lockId} by ${user} now unlocks ${new Date(Number(newUnlockTime) * 1000).toUTCString()}`);
+      } else {
+        const { user, amount, token, lockId } = event.args;
+        const lpPair = ethers.getAddress(token);
+        if (!state.locks[lpPair] || !isNew(lpPair, event)) continue;
+
+        const tracked = findTrackedLock(user, Number(lockId));
+        if (tracked) tracked.lock.unlocked = true;
+
+        const title = event.eventName === "EmergencyWithdraw" ? "🚨 LP EMERGENCY WITHDRAW" : "🚨 LP UNLOCKED";
+        await notifyPair(notify, lpPair, `${title}: ${ethers.formatEther(amount)} LP released from lock #${lockId} by ${user}\nTx: ${event.transactionHash}`);
+      }
+    }
+
+    state.lastBlock = toBlock;
+    persist();
+  }
+}
+
+export function startLockAlertScheduler({ notify, intervalMinutes = LOCK_CHECK_INTERVAL_MINUTES }) {
+  let running = false;
+
+  const runOnce = async () => {
+    if (running || state.subscriptions.length === 0) return;
+    running = true;
+    try {
+      await processLockerEvents(notify);
+      await sendDueReminders(notify);
+      persist();
+    } catch (err) {
+      console.log("Lock alert run failed:", err.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(runOnce, intervalMinutes * 60 * 1000);
+  return { runOnce, stop: () => clearInterval(timer) };
+}
@@ -0,0 +1,112 @@
+import { ethers } from "ethers";
+import { createRequire } from "module";
+import { queryEventsInBatches } from "../utils.js";
+
+const require = createRequire(import.meta.url);
+const lockerAbi = require("../abi/Locker.json");
+
+function lockKey(user, lockId) {
+  return `${user.toLowerCase()}:${lockId}`;
+}
+
+function byChainOrder(a, b) {
+  return a.blockNumber - b.blockNumber || a.index - b.index;
+}
+
+// Every event that creates or changes a lock - fetched with one topic filter
+const LOCK_EVENTS = ["Locked", "LockExtended", "LockTransferred", "Unlocked", "EmergencyWithdraw"];
+// Without a known pair creation block only this many recent blocks are replayed
+const LOOKBACK_BLOCKS = 50000;
+
+// 🔥 NEW: BESC HyperChain locker - enumerate every lock on the pair from events, then read locks(user, lockId)
+export async function getLocks({ entry, lpPair, fromBlock, provider }) {
+  const locker = new ethers.Contract(entry.address, lockerAbi, provider);
+  const isPair = token => token.toLowerCase() === lpPair.toLowerCase();
+  const tracked = new Map();
+
+  // 🔥 FIXED: One topic filter for all lock events, and a bounded range when the pair's creation block is unknown
+  const latestBlock = await provider.getBlockNumber();
+  const lockerStart = entry.startBlock || 0;
+  const startBlock = fromBlock === null ? Math.max(lockerStart, latestBlock - LOOKBACK_BLOCKS) : fromBlock;
+  const skippedRanges = [];
+  const topics = LOCK_EVENTS.map(name => locker.interface.getEvent(name).topicHash);
+  const events = await queryEventsInBatches(locker, [topics], startBlock, latestBlock, undefined, skippedRanges);
+  const partial = (fromBlock === null && startBlock > lockerStart) || skippedRanges.length > 0;
+  if (partial) console.log(`⚠️ ${entry.name} scan for LP ${lpPair} is incomplete - locks may be missing`);
+
+  // Replay in chain order and re-key on LockTransferred - later events carry the new holder.
+  // Locked carries the LP token (not indexed), so every lock is fetched and filtered here
+  for (const event of events.sort(byChainOrder)) {
+    const { lockId } = event.args;
+    if (event.fragment.name === "Locked") {
+      if (!isPair(event.args.token)) continue;
+      tracked.set(lockKey(event.args.user, lockId), {
+        user: event.args.user,
+        lockedBy: event.args.user,
+        lockId: Number(lockId),
+        lockedAtBlock: event.blockNumber,
+        txHash: event.transactionHash,
+        extensions: 0,
+        transfers: [],
+        closedBy: null
+      });
+      continue;
+    }
+    if (event.fragment.name === "LockTransferred") {
+      const key = lockKey(event.args.from, lockId);
+      const lock = tracked.get(key);
+      if (!lock) continue;
+      tracked.delete(key);
+      lock.user = event.args.to;
+      lock.transfers.push(event.args.to);
+      tracked.set(lockKey(event.args.to, lockId), lock);
+      continue;
+    }
+
+    const lock = tracked.get(lockKey(event.args.user, lockId));
+    if (!lock) continue;
+    if (event.fragment.name === "LockExtended") lock.extensions++;
+    else if (isPair(event.args.token)) lock.closedBy = event.fragment.name;
+  }
+
+  if (tracked.size === 0) return { locks: [], partial };
+  console.log(`🔍 Found ${tracked.size} locks for LP ${lpPair} on ${entry.name}`);
+
+  // Events tell us which locks exist - the locks(user, lockId) mapping holds their current state
+  const now = Math.floor(Date.now() / 1000);
+  const locks = [];
+  for (const item of tracked.values()) {
+    try {
+      let lock = await locker.locks(item.user, item.lockId);
+      // Some lockers keep a transferred lock under its original key
+      if (lock.token === ethers.ZeroAddress && item.transfers.length > 0) {
+        lock = await locker.locks(item.lockedBy, item.lockId);
+      }
+
+      const unlockTime = Number(lock.unlockTime);
+      let status = "active";
+      if (item.closedBy === "EmergencyWithdraw") status = "emergency-withdrawn";
+      else if (lock.unlocked || item.closedBy === "Unlocked") status = "unlocked";
+      else if (unlockTime <= now) status = "expired";
+
+      locks.push({
+        user: item.user,
+        lockId: item.lockId,
+        amount: lock.amount,
+        unlockTime,
+        beneficiary: lock.beneficiary,
+        purpose: lock.purpose,
+        unlocked: lock.unlocked,
+        status,
+        lockedAtBlock: item.lockedAtBlock,
+        txHash: item.txHash,
+        extensions: item.extensions,
+        transfers: item.transfers.length
+      });
+    } catch (readErr) {
+      console.log(`Failed to read lock ${item.user}#${item.lockId}:`, readErr.message);
+    }
+  }
+
+  return { locks, partial };
+}
@@ -0,0 +1,141 @@
+import fs from "fs";
+import path from "path";
+import { ethers } from "ethers";
+import { createRequire } from "module";
+import * as bescLocker from "./bescLocker.js";
+import * as unicryptV2 from "./unicryptV2.js";
+import * as timelock from "./timelock.js";
+import * as vesting from "./vesting.js";
+
+const require = createRequire(import.meta.url);
+const defaultConfig = require("../data/lockers.json");
+
+const provider = new ethers.JsonRpcProvider(process.env.RPC_URL);
+
+// adapter type -> { getLocks({ entry, lpPair, fromBlock, provider }) => [lock] | { locks: [lock], partial } }
+// fromBlock is null when the pair's creation block is unknown; partial means some locks may be missing
+// Each lock: { user, lockId, amount (bigint), unlockTime, beneficiary, purpose, unlocked, status }
+// status is one of "active" | "expired" | "unlocked" | "emergency-withdrawn"; only "active" counts as locked
+const ADAPTERS = new Map([
+  ["besc-locker", bescLocker],
+  ["unicrypt-v2", unicryptV2],
+  ["timelock", timelock],
+  ["vesting", vesting]
+]);
+
+export function registerLockerAdapter(type, adapter) {
+  ADAPTERS.set(type, adapter);
+}
+
+export function listLockerAdapters() {
+  return Array.from(ADAPTERS.keys());
+}
+
+let lockers = null;
+
+// 🔥 NEW: Configured lockers - LOCKER_ADDRESS plus every entry in the locker config
+// (LOCKERS_PATH, default src/data/lockers.json): { "lockers": [{ name, type, address, startBlock?, methods? }] }
+export function getConfiguredLockers() {
+  if (lockers) return lockers;
+
+  let config = defaultConfig;
+  if (process.env.LOCKERS_PATH) {
+    try {
+      config = JSON.parse(fs.readFileSync(path.resolve(process.env.LOCKERS_PATH), "utf8"));
+    } catch (err) {
+      console.log("Custom locker config failed to load, using defaults:", err.message);
+    }
+  }
+
+  const entries = [...(config.lockers || [])];
+  if (process.env.LOCKER_ADDRESS) {
+    entries.unshift({
+      name: "BESC HyperChain Locker",
+      type: "besc-locker",
+      address: process.env.LOCKER_ADDRESS,
+      startBlock: Number(process.env.LOCKER_START_BLOCK || 0)
+    });
+  }
+
+  const seen = new Set();
+  lockers = entries.filter(entry => {
+    if (!ADAPTERS.has(entry.type)) {
+      console.log(`⚠️ Skipping locker ${entry.name || entry.address}: unknown adapter type "${entry.type}"`);
+      return false;
+    }
+    if (!ethers.isAddress(entry.address) || seen.has(entry.address.toLowerCase())) return false;
+    seen.add(entry.address.toLowerCase());
+    return true;
+  }).map(entry => ({ ...entry, name: entry.name || entry.type, address: ethers.getAddress(entry.address) }));
+
+  return lockers;
+}
+
+// 🔥 NEW: LP locked across every configured locker, vesting and timelock contract
+export async function checkLockerStatus(lpPair, totalLPSupply, fromBlock = null) {
+  const percentOf = amount => totalLPSupply > 0n ? Number((amount * 10000n) / totalLPSupply) / 100 : 0;
+  const allLocks = [];
+  const perLocker = [];
+
+  for (const entry of getConfiguredLockers()) {
+    try {
+      console.log(`🔍 Checking ${entry.name} (${entry.type}) for LP ${lpPair}`);
+      const found = await ADAPTERS.get(entry.type).getLocks({
+        entry,
+        lpPair,
+        fromBlock: fromBlock === null ? null : Math.max(entry.startBlock || 0, fromBlock),
+        provider
+      });
+      const { locks, partial } = Array.isArray(found) ? { locks: found, partial: false } : found;
+
+      const active = locks.filter(lock => lock.status === "active");
+      const lockedAmount = active.reduce((sum, lock) => sum + lock.amount, 0n);
+      perLocker.push({
+        name: entry.name,
+        type: entry.type,
+        address: entry.address,
+        lockCount: active.length,
+        lockedAmount,
+        lockedPercent: percentOf(lockedAmount),
+        partial
+      });
+
+      for (const lock of locks) {
+        allLocks.push({
+          ...lock,
+          locker: entry.name,
+          lockerType: entry.type,
+          lockerAddress: entry.address,
+          unlockDate: new Date(lock.unlockTime * 1000).toLocaleDateString()
+        });
+      }
+    } catch (err) {
+      console.log(`Locker check failed for ${entry.name}:`, err.message);
+      perLocker.push({ name: entry.name, type: entry.type, address: entry.address, lockCount: 0, lockedAmount: 0n, lockedPercent: 0, partial: true, error: err.message });
+    }
+  }
+
+  const activeLocks = allLocks.filter(lock => lock.status === "active");
+  if (activeLocks.length === 0 || totalLPSupply <= 0n) {
+    console.log("No active LP locks found");
+    return { locked: false, lockedAmount: 0n, lockedPercent: 0, unlockTime: 0, unlockDate: "N/A", lockCount: 0, locks: allLocks, lockers: perLocker };
+  }
+
+  const lockedAmount = activeLocks.reduce((sum, lock) => sum + lock.amount, 0n);
+  const unlockTime = Math.min(...activeLocks.map(lock => lock.unlockTime));
+  const lockedPercent = Math.min(percentOf(lockedAmount), 100);
+  const unlockDate = new Date(unlockTime * 1000).toLocaleDateString();
+
+  console.log(`✅ Detected locked LP: ${lockedPercent.toFixed(2)}% across ${activeLocks.length} locks until ${unlockDate}`);
+
+  return {
+    locked: true,
+    lockedAmount,
+    lockedPercent,
+    unlockTime,
+    unlockDate,
+    lockCount: activeLocks.length,
+    locks: allLocks,
+    lockers: perLocker
+  };
+}
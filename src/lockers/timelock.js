@@ -0,0 +1,37 @@
+import { ethers } from "ethers";
+
+// Default ABI mapping (OpenZeppelin TokenTimelock) - override per contract via "methods" in the locker config
+const DEFAULT_METHODS = { token: "token", beneficiary: "beneficiary", releaseTime: "releaseTime" };
+
+// 🔥 NEW: Single-beneficiary timelocks that hold LP tokens directly until a release time
+export async function getLocks({ entry, lpPair, provider }) {
+  const methods = { ...DEFAULT_METHODS, ...entry.methods };
+  const timelock = new ethers.Contract(entry.address, [
+    `function ${methods.token}() view returns (address)`,
+    `function ${methods.beneficiary}() view returns (address)`,
+    `function ${methods.releaseTime}() view returns (uint256)`
+  ], provider);
+
+  const token = await timelock[methods.token]();
+  if (token.toLowerCase() !== lpPair.toLowerCase()) return [];
+
+  const lp = new ethers.Contract(lpPair, ["function balanceOf(address) view returns (uint256)"], provider);
+  const [amount, beneficiary, releaseTime] = await Promise.all([
+    lp.balanceOf(entry.address),
+    timelock[methods.beneficiary](),
+    timelock[methods.releaseTime]()
+  ]);
+
+  const unlockTime = Number(releaseTime);
+  const now = Math.floor(Date.now() / 1000);
+  return [{
+    user: entry.address,
+    lockId: 0,
+    amount,
+    unlockTime,
+    beneficiary,
+    purpose: entry.name,
+    unlocked: amount === 0n,
+    status: amount === 0n ? "unlocked" : unlockTime <= now ? "expired" : "active"
+  }];
+}
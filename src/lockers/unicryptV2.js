@@ -0,0 +1,34 @@
+import { ethers } from "ethers";
+
+const UNICRYPT_V2_ABI = [
+  "function getNumLocksForToken(address _lpToken) view returns (uint256)",
+  "function tokenLocks(address, uint256) view returns (uint256 lockDate, uint256 amount, uint256 initialAmount, uint256 unlockDate, uint256 lockID, address owner)"
+];
+
+// 🔥 NEW: UniCrypt V2-style LP lockers keep a per-token lock list, so no event scan is needed
+export async function getLocks({ entry, lpPair, provider }) {
+  const locker = new ethers.Contract(entry.address, UNICRYPT_V2_ABI, provider);
+  const count = Number(await locker.getNumLocksForToken(lpPair));
+  const now = Math.floor(Date.now() / 1000);
+  const locks = [];
+
+  for (let i = 0; i < count; i++) {
+    const lock = await locker.tokenLocks(lpPair, i);
+    const unlockTime = Number(lock.unlockDate);
+    // Withdrawn locks stay in the list with a zero balance
+    const status = lock.amount === 0n ? "unlocked" : unlockTime <= now ? "expired" : "active";
+
+    locks.push({
+      user: lock.owner,
+      lockId: Number(lock.lockID),
+      amount: lock.amount,
+      unlockTime,
+      beneficiary: lock.owner,
+      purpose: "",
+      unlocked: lock.amount === 0n,
+      status
+    });
+  }
+
+  return locks;
+}
@@ -0,0 +1,40 @@
+import { ethers } from "ethers";
+
+// Default ABI mapping (OpenZeppelin VestingWallet v5; v4 wallets use "beneficiary") - override via "methods"
+const DEFAULT_METHODS = { beneficiary: "owner", start: "start", duration: "duration", releasable: "releasable" };
+
+// 🔥 NEW: Linear vesting wallets holding LP - only the part not yet vested counts as locked
+export async function getLocks({ entry, lpPair, provider }) {
+  const methods = { ...DEFAULT_METHODS, ...entry.methods };
+  const wallet = new ethers.Contract(entry.address, [
+    `function ${methods.beneficiary}() view returns (address)`,
+    `function ${methods.start}() view returns (uint256)`,
+    `function ${methods.duration}() view returns (uint256)`,
+    `function ${methods.releasable}(address token) view returns (uint256)`
+  ], provider);
+
+  const lp = new ethers.Contract(lpPair, ["function balanceOf(address) view returns (uint256)"], provider);
+  const balance = await lp.balanceOf(entry.address);
+  if (balance === 0n) return [];
+
+  const [beneficiary, start, duration, releasable] = await Promise.all([
+    wallet[methods.beneficiary](),
+    wallet[methods.start](),
+    wallet[methods.duration](),
+    wallet[methods.releasable](lpPair)
+  ]);
+
+  const amount = balance > releasable ? balance - releasable : 0n;
+  const unlockTime = Number(start + duration);
+  const now = Math.floor(Date.now() / 1000);
+  return [{
+    user: entry.address,
+    lockId: 0,
+    amount,
+    unlockTime,
+    beneficiary,
+    purpose: entry.name,
+    unlocked: false,
+    status: amount === 0n || unlockTime <= now ? "expired" : "active"
+  }];
+}
@@ -0,0 +1,112 @@
+import axios from "axios";
+import { ethers } from "ethers";
+import { queryEventsInBatches } from "./utils.js";
+
+const provider = new ethers.JsonRpcProvider(process.env.RPC_URL);
+const BASE_URL = process.env.BLOCKSCOUT_API || "https://explorer.beschyperchain.com/api/v2";
+
+const TOP_LP_HOLDERS = 10;
+// LP holder lists are short - stop paging after this many
+const LP_HOLDER_SCAN_LIMIT = 500;
+
+// 🔥 FIXED: Page through next_page_params like the token holder scan instead of reading page one only
+async function fetchHoldersFromBlockscout(pair) {
+  const items = [];
+  let pageParams = {};
+  let complete = false;
+
+  while (items.length < LP_HOLDER_SCAN_LIMIT) {
+    const res = await axios.get(`${BASE_URL}/tokens/${pair.toLowerCase()}/holders`, { params: pageParams, timeout: 5000 });
+    const pageItems = res.data?.items || [];
+    items.push(...pageItems);
+    if (!res.data?.next_page_params || pageItems.length === 0) {
+      complete = true;
+      break;
+    }
+    pageParams = res.data.next_page_params;
+  }
+
+  return {
+    holders: items.map(item => ({
+      address: ethers.getAddress(typeof item.address === "string" ? item.address : item.address.hash),
+      balance: BigInt(item.value || "0")
+    })),
+    complete
+  };
+}
+
+// Mint/Burn only carry reserve amounts - LP balances come from the pair's own Transfer events
+async function replayTransfers(pair, fromBlock) {
+  const lp = new ethers.Contract(pair, ["event Transfer(address indexed from, address indexed to, uint256 value)"], provider);
+  const events = await queryEventsInBatches(lp, lp.filters.Transfer(), fromBlock, "latest");
+
+  const balances = new Map();
+  for (const event of events) {
+    const { from, to, value } = event.args;
+    if (from !== ethers.ZeroAddress) balances.set(from, (balances.get(from) || 0n) - value);
+    balances.set(to, (balances.get(to) || 0n) + value);
+  }
+  return Array.from(balances, ([address, balance]) => ({ address, balance })).filter(h => h.balance > 0n);
+}
+
+// 🔥 NEW: Who holds a pair's LP tokens, labelled, plus the share sitting unlocked with the team
+// fromBlock is the pair's creation block, or null when unknown - the Transfer replay needs it
+export async function analyzeLpHolders(pair, lpSupply, fromBlock, labels) {
+  const none = { source: "none", holderCount: 0, complete: false, topHolders: [], deployerPercent: 0, teamPercent: 0 };
+  let source = "blockscout";
+  let holders = [];
+  let complete = true;
+  try {
+    ({ holders, complete } = await fetchHoldersFromBlockscout(pair));
+  } catch (err) {
+    console.log(`Blockscout LP holders failed for ${pair}:`, err.message);
+  }
+  if (holders.length === 0) {
+    // 🔥 FIXED: Never replay the pair's whole chain history - without a creation block there is no fallback
+    if (fromBlock === null) {
+      console.log(`⚠️ No LP holders from Blockscout and creation block of ${pair} unknown - skipping Transfer replay`);
+      return none;
+    }
+    source = "events";
+    complete = true;
+    try {
+      holders = await replayTransfers(pair, fromBlock);
+    } catch (err) {
+      console.log(`LP transfer replay failed for ${pair}:`, err.message);
+      return none;
+    }
+  }
+
+  const percentOf = balance => lpSupply > 0n ? Number((balance * 10000n) / lpSupply) / 100 : 0;
+  const labelled = holders
+    .sort((a, b) => (b.balance > a.balance ? 1 : b.balance < a.balance ? -1 : 0))
+    .map(holder => {
+      const known = holder.address.toLowerCase() === pair.toLowerCase()
+        ? { label: "💧 Pair (pending burn)", category: "pair" }
+        : labels.get(holder.address.toLowerCase());
+      return {
+        address: holder.address,
+        balance: holder.balance,
+        percent: percentOf(holder.balance),
+        label: known ? known.label : null,
+        category: known ? known.category : "wallet"
+      };
+    });
+
+  const sumCategories = categories => labelled
+    .filter(holder => categories.includes(holder.category))
+    .reduce((sum, holder) => sum + holder.percent, 0);
+
+  const deployerPercent = sumCategories(["deployer"]);
+  const teamPercent = sumCategories(["deployer", "owner", "privileged"]);
+  console.log(`👥 LP holders of ${pair} (${source}): ${labelled.length}, deployer ${deployerPercent.toFixed(1)}%, team ${teamPercent.toFixed(1)}%`);
+
+  return {
+    source,
+    holderCount: labelled.length,
+    complete,
+    topHolders: labelled.slice(0, TOP_LP_HOLDERS),
+    deployerPercent,
+    teamPercent
+  };
+}
@@ -0,0 +1,118 @@
+import { ethers } from "ethers";
+import { queryEventsInBatches } from "./utils.js";
+import { classifyController } from "./proxy.js";
+
+const provider = new ethers.JsonRpcProvider(process.env.RPC_URL);
+
+// A hand-off to a fresh EOA this close before a renounce is the classic fake-renounce setup
+const FAKE_RENOUNCE_WINDOW_BLOCKS = 100;
+// Replays stop this far back from head - an old token would otherwise page through its whole life
+const OWNERSHIP_REPLAY_MAX_BLOCKS = Number(process.env.OWNERSHIP_REPLAY_MAX_BLOCKS || 200000);
+const BURN_OWNERS = [ethers.ZeroAddress, "0x000000000000000000000000000000000000dEaD"].map(a => a.toLowerCase());
+
+const OWNERSHIP_ABI = [
+  "event OwnershipTransferred(address indexed previousOwner, address indexed newOwner)",
+  "event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender)",
+  "event RoleRevoked(bytes32 indexed role, address indexed account, address indexed sender)"
+];
+const OWNERSHIP_EVENTS = ["OwnershipTransferred", "RoleGranted", "RoleRevoked"];
+
+export const DEFAULT_ADMIN_ROLE = ethers.ZeroHash;
+
+// Well-known AccessControl role ids -> readable names
+const KNOWN_ROLES = new Map([
+  [DEFAULT_ADMIN_ROLE, "DEFAULT_ADMIN_ROLE"],
+  ...["MINTER_ROLE", "PAUSER_ROLE", "BURNER_ROLE", "ADMIN_ROLE", "OPERATOR_ROLE", "MANAGER_ROLE",
+    "UPGRADER_ROLE", "BLACKLISTER_ROLE", "SNAPSHOT_ROLE", "FEE_MANAGER_ROLE"].map(name => [ethers.id(name), name])
+]);
+
+export function isBurnOwner(address) {
+  return !!address && BURN_OWNERS.includes(address.toLowerCase());
+}
+
+// 🔥 NEW: One bounded pass over OwnershipTransferred, RoleGranted and RoleRevoked, oldest first
+export async function getOwnershipEvents(tokenAddress, fromBlock) {
+  const token = new ethers.Contract(tokenAddress, OWNERSHIP_ABI, provider);
+  const latestBlock = await provider.getBlockNumber();
+  const startBlock = Math.max(fromBlock, latestBlock - OWNERSHIP_REPLAY_MAX_BLOCKS);
+  const skippedRanges = [];
+  const topics = OWNERSHIP_EVENTS.map(name => token.interface.getEvent(name).topicHash);
+  const events = await queryEventsInBatches(token, [topics], startBlock, latestBlock, undefined, skippedRanges);
+  const complete = startBlock === fromBlock && skippedRanges.length === 0;
+  if (!complete) console.log(`⚠️ Ownership replay for ${tokenAddress} is incomplete - early transfers or grants may be missing`);
+  return { events: events.sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index), complete };
+}
+
+// Chain of owners from OwnershipTransferred, oldest first
+export function getOwnershipTransfers(events) {
+  return events
+    .filter(event => event.eventName === "OwnershipTransferred")
+    .map(event => ({
+      previousOwner: event.args.previousOwner,
+      newOwner: event.args.newOwner,
+      blockNumber: event.blockNumber,
+      txHash: event.transactionHash
+    }));
+}
+
+// Renounce events that didn't really give up control
+export async function detectFakeRenounce(transfers, currentOwner, { deployer = null, privilegedAddresses = [] } = {}) {
+  const renounceIndex = transfers.findIndex(t => isBurnOwner(t.newOwner));
+  if (renounceIndex === -1) return { detected: false, reason: null, handoff: null };
+  const renounce = transfers[renounceIndex];
+
+  // Ownership came back after the renounce
+  const reclaimed = transfers.slice(renounceIndex + 1).find(t => !isBurnOwner(t.newOwner));
+  if (reclaimed) {
+    return { detected: true, reason: `Ownership re-assigned to ${reclaimed.newOwner} after the renounce (block ${reclaimed.blockNumber})`, handoff: reclaimed.newOwner };
+  }
+
+  // The event says renounced, the contract disagrees
+  if (currentOwner && ethers.isAddress(currentOwner) && !isBurnOwner(currentOwner)) {
+    return { detected: true, reason: `Renounce event emitted but owner() still returns ${currentOwner}`, handoff: currentOwner };
+  }
+
+  // Ownership parked on a different EOA right before renouncing - that wallet often keeps other powers
+  const previous = transfers[renounceIndex - 1];
+  if (previous && renounce.blockNumber - previous.blockNumber <= FAKE_RENOUNCE_WINDOW_BLOCKS &&
+      (!deployer || previous.newOwner.toLowerCase() !== deployer.toLowerCase())) {
+    const handoffType = await classifyController(previous.newOwner);
+    if (handoffType.type === "EOA") {
+      const keepsPowers = privilegedAddresses.some(a => a.toLowerCase() === previous.newOwner.toLowerCase());
+      return {
+        detected: keepsPowers,
+        reason: `Ownership moved to EOA ${previous.newOwner} ${renounce.blockNumber - previous.blockNumber} blocks before the renounce${keepsPowers ? " - that wallet still holds privileged roles" : ""}`,
+        handoff: previous.newOwner
+      };
+    }
+  }
+
+  return { detected: false, reason: null, handoff: null };
+}
+
+// 🔥 NEW: Current AccessControl role holders replayed from RoleGranted/RoleRevoked
+export async function getRoleHolders(events) {
+  const roleEvents = events.filter(event => event.eventName === "RoleGranted" || event.eventName === "RoleRevoked");
+  if (!roleEvents.some(event => event.eventName === "RoleGranted")) return [];
+
+  const holders = new Map();
+  for (const event of roleEvents) {
+    const { role, account } = event.args;
+    if (!holders.has(role)) holders.set(role, new Set());
+    if (event.eventName === "RoleGranted") holders.get(role).add(account);
+    else holders.get(role).delete(account);
+  }
+
+  const roles = [];
+  for (const [role, accounts] of holders) {
+    if (accounts.size === 0) continue;
+    const typed = [];
+    for (const address of accounts) {
+      const controller = await classifyController(address);
+      typed.push({ address, type: controller.type, description: controller.description });
+    }
+    roles.push({ role, name: KNOWN_ROLES.get(role) || `${role.slice(0, 10)}...`, holders: typed });
+  }
+  // DEFAULT_ADMIN_ROLE first - it can grant every other role
+  return roles.sort((a, b) => (a.role === DEFAULT_ADMIN_ROLE ? -1 : b.role === DEFAULT_ADMIN_ROLE ? 1 : 0));
+}
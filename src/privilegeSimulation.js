@@ -0,0 +1,244 @@
+import { ethers } from "ethers";
+import { executeStep, simulateRoundTrip, readTotalSupply } from "./simulation.js";
+import { selectorOf } from "./bytecode.js";
+import { sharePercent } from "./holderMetrics.js";
+
+// Native balance handed to the owner so value/gas checks never mask the real outcome
+const OWNER_NATIVE_BALANCE = ethers.parseEther("1000000");
+// Measured tax has to move by more than this (percentage points) to count as an effect
+const TAX_CHANGE_THRESHOLD = 1;
+// Taxes at or above this after the owner call are reported as high severity
+const HIGH_TAX = 50;
+
+// What the owner could do right now - each action tries its signatures in order with worst-case arguments.
+// `target` is who the restriction hits, used in the finding text
+const OWNER_ACTIONS = [
+  {
+    id: "setFee",
+    target: "all traders",
+    calls: [
+      ["setSellFee(uint256)", () => [99n]],
+      ["setSellTax(uint256)", () => [99n]],
+      ["setFee(uint256)", () => [99n]],
+      ["setFees(uint256,uint256)", () => [99n, 99n]],
+      ["setTaxes(uint256,uint256)", () => [99n, 99n]],
+      ["updateFees(uint256,uint256)", () => [99n, 99n]],
+      ["setTaxFeePercent(uint256)", () => [99n]],
+      ["updateSellFees(uint256,uint256,uint256)", () => [99n, 0n, 0n]],
+      ["setSellFees(uint256,uint256,uint256)", () => [99n, 0n, 0n]]
+    ]
+  },
+  {
+    id: "setMaxTx",
+    target: "all traders",
+    calls: [
+      ["setMaxTxAmount(uint256)", () => [0n]],
+      ["setMaxTx(uint256)", () => [0n]],
+      ["setMaxTransactionAmount(uint256)", () => [0n]],
+      ["updateMaxTxnAmount(uint256)", () => [0n]],
+      ["setMaxTxPercent(uint256)", () => [0n]]
+    ]
+  },
+  {
+    id: "blacklist",
+    target: "a chosen wallet",
+    calls: [
+      ["blacklist(address)", ({ buyer }) => [buyer]],
+      ["setBlacklist(address,bool)", ({ buyer }) => [buyer, true]],
+      ["addToBlacklist(address)", ({ buyer }) => [buyer]],
+      ["addBlacklist(address)", ({ buyer }) => [buyer]],
+      ["blacklistAddress(address,bool)", ({ buyer }) => [buyer, true]],
+      ["setIsBlacklisted(address,bool)", ({ buyer }) => [buyer, true]],
+      ["setBot(address,bool)", ({ buyer }) => [buyer, true]],
+      ["setBots(address[])", ({ buyer }) => [[buyer]]],
+      ["addBots(address[])", ({ buyer }) => [[buyer]]],
+      ["blockBots(address[])", ({ buyer }) => [[buyer]]],
+      ["freezeAccount(address,bool)", ({ buyer }) => [buyer, true]],
+      ["freeze(address)", ({ buyer }) => [buyer]]
+    ]
+  },
+  {
+    id: "pause",
+    target: "all traders",
+    calls: [
+      ["pause()", () => []],
+      ["setPaused(bool)", () => [true]],
+      ["disableTrading()", () => []],
+      ["setTradingEnabled(bool)", () => [false]],
+      ["setTrading(bool)", () => [false]],
+      ["tradingStatus(bool)", () => [false]]
+    ]
+  },
+  {
+    id: "mint",
+    target: null,
+    calls: [
+      ["mint(address,uint256)", ({ actor, supply }) => [actor, supply]],
+      ["mintTo(address,uint256)", ({ actor, supply }) => [actor, supply]],
+      ["mint(uint256)", ({ supply }) => [supply]],
+      ["issue(uint256)", ({ supply }) => [supply]]
+    ]
+  }
+];
+
+function emptyPowers(reason) {
+  return {
+    analyzed: false,
+    reason,
+    actor: null,
+    actorRole: null,
+    actions: [],
+    findings: [],
+    canBlockTrading: false,
+    canBlockWallet: false,
+    maxSellTax: null,
+    canMint: false
+  };
+}
+
+// The wallet whose powers we simulate: owner(), or the DEFAULT_ADMIN_ROLE holder when there is no owner
+function pickActor(ownership) {
+  if (ethers.isAddress(ownership.owner)) return { actor: ethers.getAddress(ownership.owner), actorRole: "owner" };
+  const admin = (ownership.defaultAdmins || [])[0];
+  return admin ? { actor: admin.address, actorRole: "DEFAULT_ADMIN_ROLE" } : { actor: null, actorRole: null };
+}
+
+// Try an action's signatures until one goes through -> { signature, step } or { signature: null, reason }
+async function runOwnerCall(tokenAddress, action, context, available) {
+  let lastTried = null;
+  let reason = null;
+  for (const [signature, args] of action.calls) {
+    if (available && !available.has(selectorOf(signature))) continue;
+    const iface = new ethers.Interface([`function ${signature}`]);
+    const step = await executeStep({
+      from: context.actor,
+      to: tokenAddress,
+      data: iface.encodeFunctionData(signature.split("(")[0], args(context))
+    }, context.overrides);
+    if (step.ok) return { signature, step };
+    lastTried = signature;
+    reason = step.reason;
+  }
+  return { signature: lastTried, step: null, reason };
+}
+
+function taxIncrease(before, after) {
+  if (!after.ok || after.tax === null) return null;
+  const previous = before.ok && before.tax !== null ? before.tax : 0;
+  return after.tax - previous > TAX_CHANGE_THRESHOLD ? after.tax : null;
+}
+
+// Compare the round trip after the owner call with the untouched baseline
+function describeTradeImpact(action, signature, baseline, after, who) {
+  const via = ` (${signature})`;
+  if (after.buy.tested && !after.buy.ok && baseline.buy.ok) {
+    return { severity: "high", message: `${who} can block ${action.target} from buying${via}`, blocks: "buy" };
+  }
+  if (after.sell.tested && !after.sell.ok && baseline.sell.ok) {
+    return { severity: "high", message: `${who} can block ${action.target} from selling${via}`, blocks: "sell" };
+  }
+  const sellTax = taxIncrease(baseline.sell, after.sell);
+  if (sellTax !== null) {
+    return { severity: sellTax >= HIGH_TAX ? "high" : "medium", message: `${who} can set sell tax to ${sellTax.toFixed(0)}%${via}`, sellTax };
+  }
+  const buyTax = taxIncrease(baseline.buy, after.buy);
+  if (buyTax !== null) {
+    return { severity: buyTax >= HIGH_TAX ? "high" : "medium", message: `${who} can set buy tax to ${buyTax.toFixed(0)}%${via}`, buyTax };
+  }
+  return null;
+}
+
+// 🔥 NEW: Call the owner's privileged functions from the owner's address via eth_call, then
+// re-run the buy/sell round trip on the resulting state to see what each one actually does to traders
+export async function simulateOwnerPowers(tokenAddress, ownership, { selectors = [], baseline = null, pairedToken = null, router, totalSupply = 0n } = {}) {
+  const { actor, actorRole } = pickActor(ownership);
+  if (!actor) {
+    return emptyPowers(ownership.owner === "RENOUNCED" ? "Ownership renounced" : "No owner or admin to simulate");
+  }
+  const who = actorRole === "owner" ? "Owner" : "Admin";
+
+  const context = {
+    actor,
+    buyer: ethers.Wallet.createRandom().address,
+    supply: BigInt(totalSupply || 0) > 0n ? BigInt(totalSupply) : ethers.parseUnits("1000000000", 18),
+    overrides: { [actor.toLowerCase()]: { balance: ethers.toQuantity(OWNER_NATIVE_BALANCE) } }
+  };
+  // Only call functions the dispatcher actually has - with no selectors to go on, try them all
+  const available = selectors.length > 0 ? new Set(selectors) : null;
+  // Trade impact is only meaningful when the untouched token could be bought and sold
+  const canCompare = baseline && baseline.method === "state-override" && baseline.buy.ok && baseline.sell.tested;
+
+  const actions = [];
+  const findings = [];
+  let maxSellTax = null;
+
+  for (const action of OWNER_ACTIONS) {
+    const { signature, step, reason } = await runOwnerCall(tokenAddress, action, context, available);
+    if (!signature) {
+      actions.push({ id: action.id, signature: null, status: "absent", reason: null, effect: null, blocks: null });
+      continue;
+    }
+    if (!step) {
+      actions.push({ id: action.id, signature, status: "rejected", reason, effect: null, blocks: null });
+      continue;
+    }
+
+    const entry = { id: action.id, signature, status: "accepted", reason: null, effect: null, blocks: null };
+    actions.push(entry);
+    if (!step.traced) {
+      entry.effect = "call accepted - RPC cannot trace the resulting state";
+      findings.push({ action: action.id, signature, severity: "medium", message: `${who} can call ${signature}` });
+      continue;
+    }
+
+    if (action.id === "mint") {
+      const before = await readTotalSupply(tokenAddress, context.overrides);
+      const after = await readTotalSupply(tokenAddress, step.overrides);
+      const minted = before !== null && after !== null && after > before ? after - before : 0n;
+      if (minted > 0n) {
+        const percent = sharePercent(minted, before);
+        entry.effect = `total supply +${percent.toFixed(0)}%`;
+        findings.push({ action: action.id, signature, severity: "high", message: `${who} can mint ${percent.toFixed(0)}% more supply (${signature})` });
+      } else {
+        entry.effect = "no change in total supply";
+      }
+      continue;
+    }
+
+    if (!canCompare) {
+      entry.effect = "call accepted - trading impact not measurable (baseline simulation unavailable)";
+      findings.push({ action: action.id, signature, severity: "medium", message: `${who} can call ${signature}` });
+      continue;
+    }
+
+    const after = await simulateRoundTrip(tokenAddress, pairedToken, router, { overrides: step.overrides, buyer: context.buyer });
+    const impact = describeTradeImpact(action, signature, baseline, after, who);
+    if (!impact) {
+      entry.effect = "no measurable effect on trading";
+      continue;
+    }
+    entry.effect = impact.blocks
+      ? `${impact.blocks} reverted: ${after[impact.blocks].reason || "unknown reason"}`
+      : `measured ${impact.sellTax !== undefined ? "sell" : "buy"} tax ${(impact.sellTax ?? impact.buyTax).toFixed(2)}%`;
+    entry.blocks = impact.blocks || null;
+    if (impact.sellTax !== undefined) maxSellTax = Math.max(maxSellTax ?? 0, impact.sellTax);
+    findings.push({ action: action.id, signature, severity: impact.severity, message: impact.message });
+  }
+
+  const blocking = actions.filter(a => a.blocks);
+  const powers = {
+    analyzed: true,
+    reason: null,
+    actor,
+    actorRole,
+    actions,
+    findings,
+    canBlockTrading: blocking.some(a => OWNER_ACTIONS.find(o => o.id === a.id).target === "all traders"),
+    canBlockWallet: blocking.some(a => a.id === "blacklist"),
+    maxSellTax,
+    canMint: findings.some(f => f.action === "mint")
+  };
+
+  console.log(`🧪 Owner powers (${actorRole} ${actor}): ${findings.length} finding${findings.length === 1 ? "" : "s"}`);
+  return powers;
+}
@@ -0,0 +1,156 @@
+import { ethers } from "ethers";
+
+const provider = new ethers.JsonRpcProvider(process.env.RPC_URL);
+
+// EIP-1967 / EIP-1822 / legacy OpenZeppelin storage slots
+const IMPLEMENTATION_SLOT = "0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc";
+const ADMIN_SLOT = "0xb53127684a568b3173ae13b9f8a6016e243e63b6e8ee1178d6a717850b5d6103";
+const BEACON_SLOT = "0xa3f0ad74e5423aebfd80d3ef4346578335a9a72aeaee59ff6cb3582b35133d50";
+const PROXIABLE_SLOT = "0xc5f16f0fcc639fa48a6947836d9850f504798523bf8c9a3a87d5876cf622bcf7";
+const ZOS_IMPLEMENTATION_SLOT = "0x7050c9e0f4ca769c69bd3a8ef740bc37934f8e2c036e5a723fd8ee048ed3f8c3";
+const ZOS_ADMIN_SLOT = "0x10d6a54a4754c8869d6886b5f5d7fbfa5b4522237ea5c60d11bc4e7a1ff9390b";
+
+// EIP-1167 minimal proxy: fixed implementation, not upgradeable
+const MINIMAL_PROXY_PATTERN = /^0x363d3d373d3d3d363d73([0-9a-f]{40})5af43d82803e903d91602b57fd5bf3$/i;
+
+const CONTROLLER_ABI = [
+  "function getThreshold() view returns (uint256)",
+  "function getOwners() view returns (address[])",
+  "function getMinDelay() view returns (uint256)",
+  "function delay() view returns (uint256)",
+  "function owner() view returns (address)",
+  "function implementation() view returns (address)"
+];
+
+async function readAddressSlot(address, slot) {
+  try {
+    const value = await provider.getStorage(address, slot);
+    const candidate = ethers.getAddress(ethers.dataSlice(value, 12));
+    return candidate === ethers.ZeroAddress ? null : candidate;
+  } catch (err) {
+    console.log(`Storage read failed for slot ${slot}:`, err.message);
+    return null;
+  }
+}
+
+// 🔥 NEW: Classify a controlling address as EOA, Gnosis Safe multisig, timelock or other contract
+export async function classifyController(address, depth = 0) {
+  if (!address || address === ethers.ZeroAddress) {
+    return { address, type: "None", description: "None" };
+  }
+
+  const code = await provider.getCode(address).catch(() => "0x");
+  if (code === "0x") {
+    return { address, type: "EOA", description: "EOA (single private key)" };
+  }
+
+  const contract = new ethers.Contract(address, CONTROLLER_ABI, provider);
+
+  try {
+    const [threshold, owners] = await Promise.all([contract.getThreshold(), contract.getOwners()]);
+    return {
+      address,
+      type: "Multisig",
+      threshold: Number(threshold),
+      owners,
+      description: `Multisig (${threshold}/${owners.length} Safe)`
+    };
+  } catch {}
+
+  for (const fn of ["getMinDelay", "delay"]) {
+    try {
+      const minDelay = Number(await contract[fn]());
+      return {
+        address,
+        type: "Timelock",
+        minDelay,
+        description: `Timelock (${Math.round(minDelay / 3600)}h min delay)`
+      };
+    } catch {}
+  }
+
+  // ProxyAdmin-style contracts are only as safe as whoever owns them
+  if (depth < 2) {
+    try {
+      const owner = await contract.owner();
+      if (owner && owner !== ethers.ZeroAddress && owner.toLowerCase() !== address.toLowerCase()) {
+        const ownerInfo = await classifyController(owner, depth + 1);
+        return {
+          address,
+          type: ownerInfo.type,
+          owner: ownerInfo,
+          description: `Contract owned by ${ownerInfo.description}`
+        };
+      }
+    } catch {}
+  }
+
+  return { address, type: "Contract", description: "Contract (unknown type)" };
+}
+
+// 🔥 NEW: Detect EIP-1967 Transparent / UUPS / Beacon (and legacy) proxies via their storage slots
+export async function detectProxy(tokenAddress) {
+  const result = {
+    isProxy: false,
+    upgradeable: false,
+    proxyType: null,
+    implementation: null,
+    admin: null,
+    beacon: null,
+    controller: null
+  };
+
+  try {
+    const code = await provider.getCode(tokenAddress);
+    const minimal = code.match(MINIMAL_PROXY_PATTERN);
+    if (minimal) {
+      result.isProxy = true;
+      result.proxyType = "EIP-1167 Minimal Proxy";
+      result.implementation = ethers.getAddress(`0x${minimal[1]}`);
+      return result;
+    }
+
+    const [implementation, admin, beacon, proxiable, zosImplementation, zosAdmin] = await Promise.all([
+      readAddressSlot(tokenAddress, IMPLEMENTATION_SLOT),
+      readAddressSlot(tokenAddress, ADMIN_SLOT),
+      readAddressSlot(tokenAddress, BEACON_SLOT),
+      readAddressSlot(tokenAddress, PROXIABLE_SLOT),
+      readAddressSlot(tokenAddress, ZOS_IMPLEMENTATION_SLOT),
+      readAddressSlot(tokenAddress, ZOS_ADMIN_SLOT)
+    ]);
+
+    if (beacon) {
+      result.proxyType = "Beacon";
+      result.beacon = beacon;
+      const beaconContract = new ethers.Contract(beacon, CONTROLLER_ABI, provider);
+      result.implementation = await beaconContract.implementation().catch(() => null);
+      result.admin = await beaconContract.owner().catch(() => null);
+    } else if (implementation && admin) {
+      result.proxyType = "EIP-1967 Transparent";
+      result.implementation = implementation;
+      result.admin = admin;
+    } else if (implementation || proxiable) {
+      // UUPS keeps the upgrade logic in the implementation, guarded by its owner()
+      result.proxyType = implementation ? "EIP-1967 UUPS" : "EIP-1822 UUPS";
+      result.implementation = implementation || proxiable;
+      const proxyContract = new ethers.Contract(tokenAddress, CONTROLLER_ABI, provider);
+      result.admin = await proxyContract.owner().catch(() => null);
+    } else if (zosImplementation) {
+      result.proxyType = "Legacy OpenZeppelin";
+      result.implementation = zosImplementation;
+      result.admin = zosAdmin;
+    } else {
+      return result;
+    }
+
+    result.isProxy = true;
+    result.upgradeable = true;
+    result.controller = result.admin ? await classifyController(result.admin) : null;
+
+    console.log(`✅ Detected ${result.proxyType} proxy: implementation ${result.implementation}, admin ${result.admin || "unknown"}`);
+  } catch (err) {
+    console.log("Proxy detection failed:", err.message);
+  }
+
+  return result;
+}
@@ -0,0 +1,27 @@
+import { buildReportSections } from "./sections.js";
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// Standalone HTML fragment for dashboards / the HTTP API
+export function renderHtml(result) {
+  const { tokenInfo } = result;
+  const sections = buildReportSections(result).map(section => [
+    "<section>",
+    section.title ? `<h3>${escapeHtml(section.title)}</h3>` : null,
+    `<p>${section.lines.map(escapeHtml).join("<br>")}</p>`,
+    "</section>"
+  ].filter(Boolean).join(""));
+
+  return [
+    `<article class="besc-scan" data-address="${escapeHtml(result.address)}">`,
+    `<h2>${escapeHtml(tokenInfo.name || "Unknown")} (${escapeHtml(tokenInfo.symbol || "???")})</h2>`,
+    ...sections,
+    "</article>"
+  ].join("\n");
+}
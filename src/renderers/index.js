@@ -0,0 +1,31 @@
+import { renderTelegram } from "./telegram.js";
+import { renderHtml } from "./html.js";
+import { renderMarkdown } from "./markdown.js";
+import { renderText } from "./text.js";
+import { renderJson } from "./json.js";
+
+// format name -> (AnalysisResult) => string
+const RENDERERS = new Map([
+  ["telegram", renderTelegram],
+  ["html", renderHtml],
+  ["markdown", renderMarkdown],
+  ["md", renderMarkdown],
+  ["text", renderText],
+  ["json", renderJson]
+]);
+
+export function registerRenderer(format, renderer) {
+  RENDERERS.set(format.toLowerCase(), renderer);
+}
+
+export function listFormats() {
+  return Array.from(RENDERERS.keys());
+}
+
+export function renderReport(result, format = "telegram") {
+  const renderer = RENDERERS.get(String(format).toLowerCase());
+  if (!renderer) {
+    throw new Error(`Unknown report format "${format}" (available: ${listFormats().join(", ")})`);
+  }
+  return renderer(result);
+}
@@ -0,0 +1,3 @@
+export function renderJson(result) {
+  return JSON.stringify(result, null, 2);
+}
@@ -0,0 +1,13 @@
+import { buildReportSections } from "./sections.js";
+
+export function renderMarkdown(result) {
+  const { tokenInfo } = result;
+  const header = `# ${tokenInfo.name || "Unknown"} (${tokenInfo.symbol || "???"}) - \`${result.address}\``;
+
+  const body = buildReportSections(result).map(section => [
+    section.title ? `## ${section.title}` : null,
+    ...section.lines.map(line => (section.title ? `- ${line.trim()}` : `**${line}**`))
+  ].filter(Boolean).join("\n"));
+
+  return [header, ...body].join("\n\n");
+}
@@ -0,0 +1,565 @@
+import { ethers } from "ethers";
+import { formatDuration } from "../utils.js";
+
+// Shared report model: every renderer formats the same list of { title, lines } sections
+// built from a structured AnalysisResult (BigInts already rendered as strings).
+
+function formatContractAge(contractCreationInfo) {
+  if (!contractCreationInfo || !contractCreationInfo.ageHours) return "Unknown";
+
+  const ageHours = contractCreationInfo.ageHours;
+  let contractAge;
+  if (ageHours < 24) {
+    contractAge = `${ageHours}h`;
+  } else if (ageHours < 168) {
+    contractAge = `${Math.round(ageHours / 24)}d`;
+  } else if (ageHours < 720) {
+    contractAge = `${Math.round(ageHours / 168)}w`;
+  } else {
+    contractAge = `${Math.round(ageHours / 720)}m`;
+  }
+  return contractAge + (contractCreationInfo.estimated ? " (est.)" : "");
+}
+
+// 🔥 FIXED: Format total supply properly from V2 API/contract
+function formatSupply(tokenInfo) {
+  const totalSupply = BigInt(tokenInfo.totalSupply || 0);
+  if (totalSupply <= 0n) return "Unknown";
+
+  try {
+    const supplyNumber = Number(ethers.formatUnits(totalSupply, tokenInfo.decimals));
+    if (isNaN(supplyNumber)) return totalSupply.toString();
+    if (supplyNumber >= 1000000000) return (supplyNumber / 1000000000).toFixed(1) + "B";
+    if (supplyNumber >= 1000000) return (supplyNumber / 1000000).toFixed(1) + "M";
+    if (supplyNumber >= 1000) return (supplyNumber / 1000).toFixed(0) + "K";
+    return supplyNumber.toLocaleString();
+  } catch (e) {
+    console.log("Supply formatting error:", e.message);
+    return totalSupply.toString();
+  }
+}
+
+const LOCK_STATUS_DISPLAY = {
+  active: "🔒 Active",
+  expired: "⏰ Expired (withdrawable)",
+  unlocked: "🔓 Unlocked",
+  "emergency-withdrawn": "🚨 Emergency withdrawn"
+};
+
+function formatLockLines(locks = []) {
+  return locks.flatMap(lock => [
+    `${LOCK_STATUS_DISPLAY[lock.status] || lock.status} lock #${lock.lockId} (${lock.locker}): ${ethers.formatEther(BigInt(lock.amount))} LP until ${lock.unlockDate}`,
+    `   └─ Owner: ${lock.user} | Beneficiary: ${lock.beneficiary}`,
+    lock.purpose ? `   └─ Purpose: ${lock.purpose}` : ""
+  ]);
+}
+
+function formatIncompleteLockers(lockers = []) {
+  const incomplete = lockers.filter(locker => locker.partial);
+  return incomplete.length > 0
+    ? [`⚠️ Lock scan incomplete for ${incomplete.map(locker => locker.name).join(", ")} - locked share may be understated`]
+    : [];
+}
+
+function formatLiquidityDetails(liquidity) {
+  if (liquidity.lpRiskLevel === "CRITICAL") return [`🚨 ${liquidity.lpStatus}`, ...formatLockLines(liquidity.locks), ...formatIncompleteLockers(liquidity.lockers)];
+  if (liquidity.lpRiskLevel === "HIGH") return [`🔴 ${liquidity.lpStatus}`, ...formatLockLines(liquidity.locks), ...formatIncompleteLockers(liquidity.lockers)];
+
+  const lines = [liquidity.lpStatus];
+  if (liquidity.lpLocked) {
+    lines.push(`   └─ ${liquidity.lockedAmount ? ethers.formatEther(BigInt(liquidity.lockedAmount)) : "Unknown"} LP tokens locked`);
+    lines.push(`   └─ Unlocks: ${liquidity.unlockDate}`);
+  }
+  return [...lines, ...formatLockLines(liquidity.locks), ...formatIncompleteLockers(liquidity.lockers)];
+}
+
+function formatPrice(value) {
+  if (value === null || value === undefined) return "n/a";
+  if (value === 0) return "0";
+  return value >= 0.01 ? value.toLocaleString(undefined, { maximumFractionDigits: 4 }) : value.toPrecision(4);
+}
+
+function formatDepth(depth, symbol) {
+  if (!depth) return [];
+  return [
+    `Pooled: ${depth.pooledToken.toLocaleString(undefined, { maximumFractionDigits: 2 })} ${symbol || "TOKEN"} + ${depth.pooledBase.toLocaleString(undefined, { maximumFractionDigits: 4 })} ${depth.baseSymbol}`,
+    `Price: ${formatPrice(depth.priceInBase)} ${depth.baseSymbol}${depth.priceUsd !== null ? ` ($${formatPrice(depth.priceUsd)})` : ""}`,
+    `Liquidity Value: ${depth.liquidityUsd !== null ? `$${Math.round(depth.liquidityUsd).toLocaleString()}` : "USD price unavailable"}`,
+    ...depth.priceImpact.map(row =>
+      `   └─ Sell ${row.percentOfSupply}% of supply: ${row.impactPercent !== null ? `${row.impactPercent.toFixed(2)}% price impact` : "quote failed"}`
+    ),
+    depth.thinLiquidity ? `⚠️ Thin liquidity: ${depth.thinReason}` : ""
+  ];
+}
+
+function formatPairProtection(pair) {
+  if (pair.lpLocked) return `🔒 ${pair.lockedPercent.toFixed(1)}% locked`;
+  if (pair.lpPercentBurned >= 1) return `🔥 ${pair.lpPercentBurned.toFixed(1)}% burned`;
+  return "🚨 unlocked & unburned";
+}
+
+function formatPairs(liquidity) {
+  const pairs = liquidity.pairs || [];
+  if (pairs.length < 2) return [];
+  return [
+    `Total Liquidity: ${liquidity.liquidityValue} across ${pairs.length} pairs (risk weighted by share)`,
+    ...pairs.map((pair, i) =>
+      `${i + 1}. ${pair.baseSymbol || "?"} on ${pair.dex.name}: ${pair.liquiditySharePercent.toFixed(1)}% of liquidity | ${pair.liquidityValue} | ${formatPairProtection(pair)}`
+    ),
+    `Main pair: ${liquidity.lpPair}`
+  ];
+}
+
+function formatLpHolders(liquidity) {
+  const main = (liquidity.pairs || [])[0];
+  const exposure = liquidity.lpExposure || { deployerPercent: 0, teamPercent: 0 };
+  const lines = [];
+
+  if (exposure.deployerPercent >= 1) {
+    lines.push(`🚨 ${exposure.deployerPercent.toFixed(1)}% of LP held unlocked by deployer`);
+  }
+  if (exposure.teamPercent - exposure.deployerPercent >= 1) {
+    lines.push(`⚠️ ${(exposure.teamPercent - exposure.deployerPercent).toFixed(1)}% of LP held unlocked by owner / team wallets`);
+  }
+  if (main && main.lpHolders && main.lpHolders.topHolders.length > 0) {
+    lines.push(`Top LP holders${liquidity.pairs.length > 1 ? " (main pair)" : ""}:`);
+    main.lpHolders.topHolders.slice(0, 5).forEach((holder, i) => {
+      lines.push(`   ${i + 1}. ${holder.label ? `${holder.label} ` : ""}${holder.address.slice(0, 6)}...${holder.address.slice(-4)}: ${holder.percent.toFixed(2)}%`);
+    });
+  }
+  return lines;
+}
+
+const MAX_HISTORY_LINES = 10;
+
+function formatLiquidityHistory(liquidity, symbol) {
+  const main = (liquidity.pairs || [])[0];
+  if (!main || !main.history) return ["No liquidity history available"];
+
+  const { history } = main;
+  const baseSymbol = main.depth ? main.depth.baseSymbol : "BASE";
+  const lines = [];
+  if (liquidity.rugInProgress) {
+    lines.push(`🚨 RUG IN PROGRESS: ${liquidity.removedPercent24h.toFixed(1)}% of a pair's liquidity removed in the last 24h`);
+  } else if (liquidity.removedPercent24h >= 1) {
+    lines.push(`⚠️ ${liquidity.removedPercent24h.toFixed(1)}% of a pair's liquidity removed in the last 24h`);
+  }
+  lines.push(`${history.totalAdds} adds, ${history.totalRemoves} removals${liquidity.pairs.length > 1 ? " (main pair)" : ""}`);
+
+  for (const event of history.events.slice(0, MAX_HISTORY_LINES)) {
+    const when = event.sinceCreationSeconds !== null ? ` (launch +${formatDuration(event.sinceCreationSeconds)})` : "";
+    lines.push(`${event.type === "add" ? "➕ Add" : "➖ Remove"} ${event.tokenAmountFormatted.toLocaleString(undefined, { maximumFractionDigits: 2 })} ${symbol || "TOKEN"} + ${event.baseAmountFormatted.toLocaleString(undefined, { maximumFractionDigits: 4 })} ${baseSymbol} by ${event.actor.slice(0, 6)}...${event.actor.slice(-4)}${when}`);
+  }
+  return lines;
+}
+
+function formatDistributionMetrics(holderAnalysis) {
+  const lines = [];
+  const shares = holderAnalysis.topShares;
+  if (shares) {
+    lines.push(`Top 1 / 5 / 10 / 50: ${[shares.top1, shares.top5, shares.top10, shares.top50].map(p => `${p.toFixed(1)}%`).join(" / ")}`);
+  }
+  if (holderAnalysis.nakamotoCoefficient !== undefined) {
+    lines.push(holderAnalysis.nakamotoCoefficient !== null
+      ? `Nakamoto coefficient: ${holderAnalysis.nakamotoCoefficient} (wallets needed to control 50%)`
+      : `Nakamoto coefficient: more than ${holderAnalysis.holdersScanned} (50% not reached in scanned holders)`);
+  }
+  if (holderAnalysis.hhi !== undefined) {
+    const band = holderAnalysis.hhi > 2500 ? "highly concentrated" : holderAnalysis.hhi > 1500 ? "moderately concentrated" : "unconcentrated";
+    lines.push(`HHI: ${holderAnalysis.hhi} / 10000 (${band})`);
+  }
+  return lines;
+}
+
+const CATEGORY_NAMES = {
+  burn: "🔥 Burned",
+  token: "🪙 Token contract",
+  pair: "💧 LP pairs",
+  locker: "🔒 Lockers",
+  router: "🔁 Routers",
+  bridge: "🌉 Bridges",
+  cex: "🏦 Exchanges",
+  deployer: "🛠️ Deployer",
+  owner: "👑 Owner",
+  privileged: "🔑 Team wallets"
+};
+
+function formatLabelGroups(groups = []) {
+  const excluded = groups.filter(g => g.excluded);
+  const team = groups.filter(g => !g.excluded);
+  const describe = g => `${CATEGORY_NAMES[g.category] || g.category} ${g.percent.toFixed(1)}%`;
+
+  const lines = [];
+  if (excluded.length > 0) lines.push(`Excluded from metrics: ${excluded.map(describe).join(", ")}`);
+  if (team.length > 0) lines.push(`Known team holdings: ${team.map(describe).join(", ")}`);
+  return lines;
+}
+
+function formatClusters(clusters) {
+  if (!clusters || clusters.analyzedHolders === 0) return [];
+  if (clusters.clusters.length === 0) return [`🕸️ No linked wallets among the top ${clusters.analyzedHolders} holders`];
+
+  const count = clusters.clusters.length;
+  return [
+    `🕸️ ${count} cluster${count > 1 ? "s" : ""} control ${clusters.clusteredPercent.toFixed(1)}% (top ${clusters.analyzedHolders} holders checked)`,
+    ...clusters.clusters.map(c => `  #${c.id}: ${c.members.length} wallets, ${c.percent.toFixed(1)}% - ${c.signals.join(", ")}`)
+  ];
+}
+
+const SNIPER_STATUS_DISPLAY = {
+  holding: "💎 holding",
+  partial: "📉 partly sold",
+  dumped: "💥 dumped",
+  unknown: "❔ unknown"
+};
+const MAX_SNIPER_LINES = 5;
+
+function formatLaunch(launch) {
+  if (!launch.analyzed) return [`Launch not analyzed: ${launch.reason}`];
+  if (launch.sniperCount === 0) return [`✅ No buys in the first ${launch.windowBlocks} blocks (from block ${launch.fromBlock})`];
+
+  const lines = [
+    `${launch.sniperCount} sniper wallet${launch.sniperCount > 1 ? "s" : ""} took ${launch.snipedPercent.toFixed(1)}% of supply in the first ${launch.windowBlocks} blocks`,
+    `Still held: ${launch.stillHeldPercent.toFixed(1)}% (${launch.holdingCount} holding, ${launch.dumpedCount} dumped)`
+  ];
+  if (launch.deployerLinkedCount > 0) {
+    lines.push(`🚨 ${launch.deployerLinkedCount} deployer-linked sniper${launch.deployerLinkedCount > 1 ? "s" : ""} took ${launch.deployerLinkedPercent.toFixed(1)}%`);
+  }
+  for (const sniper of launch.snipers.slice(0, MAX_SNIPER_LINES)) {
+    lines.push(`${sniper.deployerLinked ? "🚨 " : ""}${sniper.address.slice(0, 6)}...${sniper.address.slice(-4)}: ${sniper.boughtPercent.toFixed(2)}% at +${sniper.blocksAfterLaunch} blocks, ${SNIPER_STATUS_DISPLAY[sniper.status]}`);
+  }
+  return lines;
+}
+
+const TOKEN_OUTCOME_DISPLAY = {
+  flagged: "🚩 flagged",
+  rugged: "🔴 LP pulled",
+  dead: "⚫ dead",
+  active: "🟢 active"
+};
+const MAX_PAST_TOKEN_LINES = 5;
+
+function formatDeployerHistory(history) {
+  if (!history.analyzed) return [`Deployer history unavailable: ${history.reason}`];
+
+  const lines = [`Deployer: ${history.deployer}${history.funder ? ` (funded by ${history.funder})` : ""}`];
+  if (history.deployerReputation) {
+    lines.push(`${history.deployerReputation === "trusted" ? "✅" : "🚩"} Tagged "${history.deployerReputation}" in the reputation store`);
+  }
+  if (history.tokenCount === 0) {
+    lines.push("No other tokens deployed by this wallet or its funder");
+    return lines;
+  }
+
+  const pulled = history.pulledWithin48hCount > 0 ? `, ${history.pulledWithin48hCount} had LP pulled within 48h` : "";
+  lines.push(`Deployed ${history.tokenCount} other token${history.tokenCount > 1 ? "s" : ""}${pulled}`);
+  if (history.ruggedCount > 0 || history.flaggedCount > 0) {
+    lines.push(`🚨 ${history.ruggedCount} rugged, ${history.flaggedCount} flagged as scams`);
+  }
+  for (const token of history.tokens.slice(0, MAX_PAST_TOKEN_LINES)) {
+    const details = [
+      TOKEN_OUTCOME_DISPLAY[token.outcome],
+      token.lpPulledAfterSeconds !== null ? `pulled after ${formatDuration(token.lpPulledAfterSeconds)}` : null,
+      token.renounced ? "renounced" : null,
+      `${token.holders} holders`,
+      token.deployedBy === "funder" ? "via funder" : null
+    ].filter(Boolean);
+    lines.push(`• ${token.symbol} ${token.address.slice(0, 6)}...${token.address.slice(-4)}: ${details.join(" | ")}`);
+  }
+  return lines;
+}
+
+function formatOwnerType(ownerType) {
+  if (ownerType.type === "Multisig") return `${ownerType.description} - signers: ${ownerType.owners.map(o => `${o.slice(0, 6)}...${o.slice(-4)}`).join(", ")}`;
+  if (ownerType.type === "Timelock") return `${ownerType.description} (${formatDuration(ownerType.minDelay)})`;
+  return ownerType.description;
+}
+
+const MAX_OWNER_CHAIN = 5;
+
+function formatOwnershipHistory(history) {
+  if (history && history.available === false) return [`⚠️ Owner history and roles not replayed: ${history.reason}`];
+  const incomplete = history && history.complete === false ? ["⚠️ Owner history and roles cover recent blocks only - earlier changes may be missing"] : [];
+  if (!history || history.transfers.length === 0) return incomplete;
+
+  const short = address => (address === ethers.ZeroAddress ? "🔥 renounced" : `${address.slice(0, 6)}...${address.slice(-4)}`);
+  const transfers = history.transfers.slice(-MAX_OWNER_CHAIN);
+  // The constructor's transfer comes from the zero address - that's creation, not a renounce
+  const start = transfers[0].previousOwner === ethers.ZeroAddress ? [] : [short(transfers[0].previousOwner)];
+  const chain = [...start, ...transfers.map(t => short(t.newOwner))];
+  const lines = [`Owner chain${history.transfers.length > MAX_OWNER_CHAIN ? " (latest)" : ""}: ${chain.join(" → ")}`, ...incomplete];
+
+  if (history.fakeRenounce.detected) {
+    lines.push(`🚨 FAKE RENOUNCE: ${history.fakeRenounce.reason}`);
+  } else if (history.fakeRenounce.reason) {
+    lines.push(`⚠️ ${history.fakeRenounce.reason}`);
+  }
+  return lines;
+}
+
+function formatRoles(ownership) {
+  const lines = [];
+  for (const role of ownership.roles || []) {
+    lines.push(`${role.role === ethers.ZeroHash ? "🛡️" : "🔑"} ${role.name}: ${role.holders.map(h => `${h.address.slice(0, 6)}...${h.address.slice(-4)} (${h.type})`).join(", ")}`);
+  }
+  const others = ownership.otherPrivileged || [];
+  if (others.length > 0) {
+    lines.push(`Other privileged wallets: ${others.map(w => `${w.roles.join("/")} ${w.address.slice(0, 6)}...${w.address.slice(-4)}`).join(", ")}`);
+  }
+  return lines;
+}
+
+const OWNER_ACTION_LABELS = {
+  setFee: "Raise taxes",
+  setMaxTx: "Max TX to 0",
+  blacklist: "Blacklist a buyer",
+  pause: "Pause trading",
+  mint: "Mint supply"
+};
+
+function formatOwnerPowers(powers) {
+  if (!powers.analyzed) return [`Not simulated: ${powers.reason}`];
+
+  const lines = [`Simulated from ${powers.actorRole === "owner" ? "owner" : "DEFAULT_ADMIN_ROLE holder"} ${powers.actor}`];
+  for (const finding of powers.findings) {
+    lines.push(`${finding.severity === "high" ? "🚨" : "⚠️"} ${finding.message}`);
+  }
+  for (const action of powers.actions) {
+    if (action.status === "absent") continue;
+    const outcome = action.status === "rejected"
+      ? `❌ reverted: ${action.reason || "unknown reason"}`
+      : action.effect;
+    lines.push(`• ${OWNER_ACTION_LABELS[action.id]} - ${action.signature}: ${outcome}`);
+  }
+  if (powers.actions.every(a => a.status === "absent")) {
+    lines.push("✅ No fee, limit, blacklist, pause or mint functions to call");
+  } else if (powers.findings.length === 0) {
+    lines.push("✅ No owner call changed what traders can do");
+  }
+  return lines;
+}
+
+const SOURCE_SEVERITY_ICONS = { high: "🚨", medium: "⚠️", low: "ℹ️" };
+const MAX_SOURCE_FINDING_LINES = 8;
+
+function formatSourceAnalysis(source) {
+  if (!source.analyzed) return [`Not reviewed: ${source.reason}`];
+
+  const { high, medium, low } = source.counts;
+  const lines = [`${source.contractName || "Contract"}${source.compilerVersion ? ` (${source.compilerVersion})` : ""}: ${high} high, ${medium} medium, ${low} low`];
+  if (source.findings.length === 0) {
+    lines.push("✅ No risky patterns found in the verified source");
+    return lines;
+  }
+  for (const finding of source.findings.slice(0, MAX_SOURCE_FINDING_LINES)) {
+    lines.push(`${SOURCE_SEVERITY_ICONS[finding.severity]} ${finding.message} (${finding.file}:${finding.line})`);
+  }
+  if (source.findings.length > MAX_SOURCE_FINDING_LINES) {
+    lines.push(`...and ${source.findings.length - MAX_SOURCE_FINDING_LINES} more`);
+  }
+  return lines;
+}
+
+const TEMPLATE_CATEGORY_ICONS = { honeypot: "🚨", scam: "🚨", "fee-token": "⚠️", safe: "✅" };
+
+function formatFingerprint(fingerprint) {
+  const lines = [`Code hash: ${fingerprint.hash.slice(0, 18)}...${fingerprint.metadataStripped ? " (metadata stripped)" : ""}`];
+  if (fingerprint.matches.length === 0) {
+    lines.push("No close match in the template library");
+    return lines;
+  }
+  for (const match of fingerprint.matches) {
+    lines.push(`${TEMPLATE_CATEGORY_ICONS[match.category]} ${match.exact ? "Exact" : `${match.similarity.toFixed(0)}%`} match to ${match.category} template "${match.name}"`);
+  }
+  return lines;
+}
+
+function formatUpgradeability(proxyInfo) {
+  if (!proxyInfo.isProxy) return ["✅ Not a proxy - contract logic is immutable"];
+
+  const lines = [
+    `Proxy: ${proxyInfo.proxyType}`,
+    `Implementation: ${proxyInfo.implementation || "Unknown"}`
+  ];
+  if (!proxyInfo.upgradeable) {
+    lines.push("✅ Implementation is fixed (not upgradeable)");
+    return lines;
+  }
+  if (proxyInfo.beacon) lines.push(`Beacon: ${proxyInfo.beacon}`);
+  lines.push(`Admin: ${proxyInfo.admin || "None (renounced)"}${proxyInfo.controller ? ` - ${proxyInfo.controller.description}` : ""}`);
+  lines.push(proxyInfo.controller?.type === "EOA"
+    ? "🚨 A single wallet can replace the contract logic at any time"
+    : "⚠️ Contract logic can be replaced by the admin");
+  return lines;
+}
+
+function formatMeasuredTax(value) {
+  return value === null || value === undefined ? "n/a" : `${value.toFixed(2)}%`;
+}
+
+// allRules: false keeps the score breakdown to triggered rules (chat renderers)
+export function buildReportSections(result, { allRules = true } = {}) {
+  const { riskAssessment, tokenInfo, ownership, taxes, liquidity, holderAnalysis,
+          simulation, activity, security, contractAnalysis, proxyInfo, contractCreationInfo, launch, deployerHistory,
+          privilegeSimulation, sourceAnalysis } = result;
+
+  const holderLines = holderAnalysis.displayHolders.length > 0
+    ? holderAnalysis.displayHolders.map((h, i) => `${i + 1}. ${h.address.slice(0, 6)}...: ${h.percent.toFixed(2)}%${h.label ? ` ${h.label}` : ""}`)
+    : ["No holder data available"];
+
+  const sections = [
+    {
+      title: null,
+      lines: [`${riskAssessment.emoji} ${riskAssessment.level} (${riskAssessment.riskPercentage}%)`]
+    },
+    {
+      title: "📋 TOKEN OVERVIEW",
+      lines: [
+        `${tokenInfo.name || "Unknown"} (${tokenInfo.symbol || "???"})`,
+        `Total Supply: ${formatSupply(tokenInfo)}`,
+        `Contract Age: ${formatContractAge(contractCreationInfo)}`,
+        // 🔥 FIXED: Display holders count from API
+        tokenInfo.holdersCount > 0 ? `${tokenInfo.holdersCount} holders` : "0 holders",
+        `Contract: ${contractAnalysis.isContract ? "✅ Deployed" : "❌ Not a contract"}`,
+        `Verified: ${ownership.verified ? "✅ Verified Source Code" : "⚠️ Unverified"}`
+      ]
+    },
+    {
+      title: "🧬 UPGRADEABILITY",
+      lines: formatUpgradeability(proxyInfo)
+    },
+    {
+      title: "👑 OWNERSHIP",
+      lines: [
+        `Owner: ${ownership.owner}${ownership.ownerSource && ownership.ownerSource !== "owner()" ? ` (via ${ownership.ownerSource})` : ""}`,
+        ownership.ownerType ? `Owner type: ${formatOwnerType(ownership.ownerType)}` : null,
+        `Risk Level: ${ownership.ownershipRisk}`,
+        ownership.canRenounce ? "🔓 Can renounce ownership" : "🔒 Ownership fixed",
+        ...formatOwnershipHistory(ownership.history),
+        ...formatRoles(ownership)
+      ]
+    },
+    {
+      title: "💰 TAXES & LIMITS",
+      lines: [
+        `Buy Tax: ${taxes.buyTax}% | Sell Tax: ${taxes.sellTax}% (${taxes.source})`,
+        `Declared: Buy ${taxes.declared.buy}% | Sell ${taxes.declared.sell}%${taxes.declared.found ? "" : " (no fee getters found)"}`,
+        taxes.source === "measured"
+          ? `Measured: Buy ${formatMeasuredTax(taxes.measured.buy)} | Sell ${formatMeasuredTax(taxes.measured.sell)} | Transfer ${formatMeasuredTax(taxes.measured.transfer)}`
+          : "Measured: ⚠️ Simulation unavailable",
+        taxes.taxMismatch ? "🚨 Declared taxes do not match measured taxes" : "",
+        `Max TX: ${taxes.maxTxPercent.toFixed(1)}% of supply | Max Wallet: ${taxes.maxWalletPercent.toFixed(1)}%`,
+        taxes.hasHighLimits ? "✅ Reasonable limits" : "⚠️ Restrictive limits"
+      ]
+    },
+    {
+      title: "💧 LIQUIDITY",
+      lines: [
+        ...formatLiquidityDetails(liquidity),
+        ...formatPairs(liquidity),
+        ...formatLpHolders(liquidity),
+        ...formatDepth(liquidity.depth, tokenInfo.symbol),
+        liquidity.hasLiquidity ? "✅ Liquidity detected" : "❌ NO LIQUIDITY - CRITICAL",
+        `${liquidity.lpRiskLevel === "LOW" ? "🟢 LOW RISK" : liquidity.lpRiskLevel === "MEDIUM" ? "🟡 MEDIUM RISK" : "🔴 HIGH/CRITICAL RISK"} LP Protection`
+      ]
+    },
+    {
+      title: "📜 LIQUIDITY HISTORY",
+      lines: liquidity.hasLiquidity ? formatLiquidityHistory(liquidity, tokenInfo.symbol) : []
+    },
+    {
+      title: "👥 HOLDER DISTRIBUTION",
+      lines: [
+        `${holderAnalysis.totalLiveHolders || 0} live holders`,
+        holderAnalysis.sampled
+          ? `⚠️ SAMPLED: metrics cover the top ${holderAnalysis.holdersScanned} of ${holderAnalysis.totalLiveHolders} holders`
+          : null,
+        `Top 10 control: ${holderAnalysis.top10Concentration.toFixed(1)}%`,
+        ...formatDistributionMetrics(holderAnalysis),
+        ...formatLabelGroups(holderAnalysis.labelGroups),
+        ...formatClusters(holderAnalysis.clusters),
+        `Gini Index: ${holderAnalysis.giniCoefficient} (0=equal, 1=unequal)`,
+        `Distribution: ${holderAnalysis.healthyDistribution ? "✅ Healthy" : "⚠️ Concentrated"}`,
+        ...holderLines
+      ]
+    },
+    {
+      title: "🎯 LAUNCH",
+      lines: launch ? formatLaunch(launch) : []
+    },
+    {
+      title: "🕵️ DEPLOYER HISTORY",
+      lines: deployerHistory ? formatDeployerHistory(deployerHistory) : []
+    },
+    {
+      title: "🛡️ HONEYPOT CHECK",
+      lines: [
+        simulation.honeypotRisk,
+        simulation.simulations.buy,
+        simulation.simulations.transfer,
+        simulation.simulations.sell
+      ]
+    },
+    {
+      title: "🧪 OWNER POWERS",
+      lines: privilegeSimulation ? formatOwnerPowers(privilegeSimulation) : []
+    },
+    {
+      title: "📊 TRADING ACTIVITY (24h)",
+      lines: [
+        activity.devActivity,
+        `Unique Buyers: ${activity.uniqueBuyers24h || 0}`,
+        `Total Volume: ${activity.volume24h || "0"} tokens`,
+        `Transactions: ${activity.totalTransactions24h || 0}`,
+        `Buy:Sell Ratio: ${activity.buySellRatio}`,
+        activity.hasHealthyActivity ? "✅ Active trading" : "⚠️ Low activity"
+      ]
+    },
+    {
+      title: "🔒 SECURITY FEATURES",
+      lines: [
+        `Security Score: ${security.securityScore}/10`,
+        security.hasDangerousFeatures ? "⚠️ Dangerous features detected" : "✅ No dangerous features",
+        ...security.privilegedCapabilities.map(c =>
+          `${c.severity === "high" ? "🚨" : "⚠️"} ${c.label}: ${c.matches.map(m => `${m.signature} [${m.selector}]`).join(", ")}`
+        ),
+        security.features.ownershipRenounceable ? "✅ Can renounce ownership" : "⚠️ Cannot renounce ownership"
+      ]
+    },
+    {
+      title: "🧬 CLONE MATCH",
+      lines: contractAnalysis.fingerprint ? formatFingerprint(contractAnalysis.fingerprint) : []
+    },
+    {
+      title: "📝 SOURCE CODE REVIEW",
+      lines: sourceAnalysis ? formatSourceAnalysis(sourceAnalysis) : []
+    },
+    {
+      title: "💡 TRADER INSIGHTS",
+      lines: riskAssessment.insights
+    },
+    {
+      title: "⚠️ RISK SUMMARY",
+      lines: [
+        `Overall Risk: ${riskAssessment.level}`,
+        `Risk Factors: ${riskAssessment.factors.length > 0 ? riskAssessment.factors.slice(0, 3).join(", ") : "None detected"}${riskAssessment.factors.length > 3 ? "..." : ""}`,
+        `Recommendation: ${riskAssessment.recommendation}`
+      ]
+    },
+    {
+      title: `📐 SCORE BREAKDOWN (${riskAssessment.score}/${riskAssessment.maxScore} pts)`,
+      lines: riskAssessment.breakdown.filter(r => allRules || r.triggered).map(r =>
+        `${r.triggered ? "🔺" : "▫️"} ${r.id}: ${r.triggered ? `+${r.points}` : `0/${r.weight}`}${r.triggered ? ` - ${r.message}` : ""}`
+      )
+    },
+    {
+      title: null,
+      lines: ["⚠️ Always DYOR - This analysis is for informational purposes only"]
+    }
+  ];
+
+  return sections.map(section => ({
+    ...section,
+    lines: section.lines.filter(line => line && line.trim() !== "")
+  }));
+}
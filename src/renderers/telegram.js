@@ -0,0 +1,46 @@
+import { buildReportSections } from "./sections.js";
+
+// Telegram rejects messages longer than this (characters)
+export const TELEGRAM_MESSAGE_LIMIT = 4096;
+
+function escapeHtml(text) {
+  return String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+// Telegram HTML (parse_mode: "HTML") - bold section titles, everything else escaped
+export function renderTelegram(result) {
+  return buildReportSections(result, { allRules: false })
+    .map(section => [
+      section.title ? `<b>${escapeHtml(section.title)}</b>` : null,
+      ...section.lines.map(escapeHtml)
+    ].filter(Boolean).join("\n"))
+    .join("\n\n");
+}
+
+// Pack pieces into chunks of at most `limit` characters, never splitting a piece
+function packChunks(pieces, separator, limit) {
+  const chunks = [];
+  let current = "";
+  for (const piece of pieces) {
+    const next = current ? `${current}${separator}${piece}` : piece;
+    if (next.length <= limit) {
+      current = next;
+      continue;
+    }
+    if (current) chunks.push(current);
+    current = piece;
+  }
+  if (current) chunks.push(current);
+  return chunks;
+}
+
+// 🔥 NEW: Split a rendered report into sendable messages - at section boundaries first, then at line
+// boundaries for an oversized section; a single oversized line is truncated. Tags never span a line.
+export function splitTelegramMessage(text, limit = TELEGRAM_MESSAGE_LIMIT) {
+  const sections = text.split("\n\n").flatMap(section => {
+    if (section.length <= limit) return [section];
+    const lines = section.split("\n").map(line => (line.length > limit ? `${line.slice(0, limit - 1)}…` : line));
+    return packChunks(lines, "\n", limit);
+  });
+  return packChunks(sections, "\n\n", limit);
+}
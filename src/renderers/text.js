@@ -0,0 +1,7 @@
+import { buildReportSections } from "./sections.js";
+
+export function renderText(result) {
+  return buildReportSections(result)
+    .map(section => [section.title, ...section.lines].filter(Boolean).join("\n"))
+    .join("\n\n");
+}
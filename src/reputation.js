@@ -0,0 +1,39 @@
+import { ethers } from "ethers";
+import { dataPath, loadJson, saveJson } from "./store.js";
+
+const REPUTATION_FILE = process.env.REPUTATION_FILE || dataPath("reputation.json");
+
+export const REPUTATION_TAGS = ["scam", "rug", "honeypot", "trusted"];
+// Tags that count against a deployer
+export const BAD_REPUTATION_TAGS = ["scam", "rug", "honeypot"];
+
+// { addresses: { [address]: { tag, note, taggedBy, taggedAt } } }
+let state = loadJson(REPUTATION_FILE, { addresses: {} });
+
+function persist() {
+  saveJson(REPUTATION_FILE, state);
+}
+
+export function getReputation(address) {
+  if (!address || !ethers.isAddress(address)) return null;
+  return state.addresses[ethers.getAddress(address)] || null;
+}
+
+// 🔥 NEW: Tag a token or wallet in the local reputation store (admin-curated)
+export function tagAddress(address, tag, { note = "", taggedBy = null } = {}) {
+  if (!REPUTATION_TAGS.includes(tag)) {
+    throw new Error(`Unknown tag "${tag}" (use ${REPUTATION_TAGS.join(", ")})`);
+  }
+  const key = ethers.getAddress(address);
+  state.addresses[key] = { tag, note, taggedBy, taggedAt: new Date().toISOString() };
+  persist();
+  return state.addresses[key];
+}
+
+export function untagAddress(address) {
+  const key = ethers.getAddress(address);
+  if (!state.addresses[key]) return false;
+  delete state.addresses[key];
+  persist();
+  return true;
+}
@@ -0,0 +1,137 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { createRequire } from "module";
+import { pathToFileURL } from "url";
+
+const require = createRequire(import.meta.url);
+const defaultConfig = require("./data/riskRules.json");
+
+const LEVEL_ORDER = ["LOW", "MEDIUM", "HIGH"];
+// Points that make a 100% risk score - level thresholds are percentages of this
+const DEFAULT_SCALE = 100;
+
+let configPromise = null;
+
+// 🔥 NEW: Load the scoring rules - RISK_RULES_PATH may point to a .json or .js (default export) config
+export function loadRiskConfig() {
+  if (!configPromise) {
+    configPromise = (async () => {
+      const customPath = process.env.RISK_RULES_PATH;
+      if (!customPath) return defaultConfig;
+
+      const resolved = path.resolve(customPath);
+      console.log(`🔍 Loading risk rules from ${resolved}`);
+      if (resolved.endsWith(".json")) {
+        return JSON.parse(fs.readFileSync(resolved, "utf8"));
+      }
+      const module = await import(pathToFileURL(resolved).href);
+      return module.default || module;
+    })().catch(err => {
+      console.log("Custom risk rules failed to load, using defaults:", err.message);
+      return defaultConfig;
+    });
+  }
+  return configPromise;
+}
+
+// 🔥 NEW: Short hash of the rule set - scores are only comparable between scans with the same version
+export function rulesVersion(config) {
+  const serialized = JSON.stringify(
+    { scale: config.scale, levels: config.levels, rules: config.rules },
+    (key, value) => (typeof value === "function" ? value.toString() : value)
+  );
+  return crypto.createHash("sha256").update(serialized).digest("hex").slice(0, 12);
+}
+
+function readPath(source, dottedPath) {
+  return dottedPath.split(".").reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), source);
+}
+
+// Evaluate a declarative condition: { path, op, value } | { all: [...] } | { any: [...] } | { not: {...} }
+export function evaluateCondition(condition, analysis) {
+  if (typeof condition === "function") return !!condition(analysis);
+  if (condition.all) return condition.all.every(c => evaluateCondition(c, analysis));
+  if (condition.any) return condition.any.some(c => evaluateCondition(c, analysis));
+  if (condition.not) return !evaluateCondition(condition.not, analysis);
+
+  const actual = readPath(analysis, condition.path);
+  const expected = condition.value;
+
+  switch (condition.op) {
+    case ">": return typeof actual === "number" && actual > expected;
+    case ">=": return typeof actual === "number" && actual >= expected;
+    case "<": return typeof actual === "number" && actual < expected;
+    case "<=": return typeof actual === "number" && actual <= expected;
+    case "==": return actual === expected;
+    case "!=": return actual !== expected;
+    case "in": return Array.isArray(expected) && expected.includes(actual);
+    case "not in": return Array.isArray(expected) && !expected.includes(actual);
+    case "includes": return typeof actual === "string" && actual.includes(expected);
+    case "truthy": return !!actual;
+    case "falsy": return !actual;
+    default:
+      throw new Error(`Unknown risk rule operator: ${condition.op}`);
+  }
+}
+
+// 🔥 NEW: Run every rule against the analysis and return a per-rule, explainable breakdown
+export function evaluateRiskRules(config, analysis) {
+  const firedGroups = new Set();
+  const breakdown = [];
+  let score = 0;
+  let minLevel = "LOW";
+
+  for (const rule of config.rules) {
+    let triggered = false;
+    let error = null;
+    // Rules sharing a group are tiers - only the first matching one scores
+    if (!rule.group || !firedGroups.has(rule.group)) {
+      try {
+        triggered = evaluateCondition(rule.when, analysis);
+      } catch (err) {
+        error = err.message;
+        console.log(`Risk rule ${rule.id} failed:`, err.message);
+      }
+    }
+
+    if (triggered) {
+      if (rule.group) firedGroups.add(rule.group);
+      score += rule.weight;
+      if (rule.minLevel && LEVEL_ORDER.indexOf(rule.minLevel) > LEVEL_ORDER.indexOf(minLevel)) {
+        minLevel = rule.minLevel;
+      }
+    }
+
+    breakdown.push({
+      id: rule.id,
+      group: rule.group || null,
+      triggered,
+      points: triggered ? rule.weight : 0,
+      weight: rule.weight,
+      severity: rule.severity,
+      message: rule.message,
+      ...(error ? { error } : {})
+    });
+  }
+
+  // 🔥 FIXED: Weights are absolute points on a fixed scale, so adding rules never dilutes the percentage
+  const maxScore = config.scale || DEFAULT_SCALE;
+  const riskPercentage = Math.min(100, Math.round((score / maxScore) * 100));
+  const thresholds = config.levels || { high: 50, medium: 30 };
+
+  let level = "LOW";
+  if (riskPercentage >= thresholds.high) level = "HIGH";
+  else if (riskPercentage >= thresholds.medium) level = "MEDIUM";
+  if (LEVEL_ORDER.indexOf(minLevel) > LEVEL_ORDER.indexOf(level)) level = minLevel;
+
+  return {
+    score,
+    maxScore,
+    riskPercentage,
+    level,
+    rulesVersion: rulesVersion(config),
+    breakdown,
+    factors: breakdown.filter(r => r.triggered).map(r => r.message)
+  };
+}
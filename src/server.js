@@ -0,0 +1,216 @@
+import "dotenv/config";
+import http from "http";
+import fs from "fs";
+import { pathToFileURL } from "url";
+import { ethers } from "ethers";
+import { analyzeTokenStructured, ANALYSIS_RESULT_SCHEMA } from "./analyzer.js";
+import { renderReport } from "./renderers/index.js";
+import { scheduleScan } from "./limits.js";
+
+const PORT = Number(process.env.API_PORT || 8080);
+const HOST = process.env.API_HOST || "127.0.0.1";
+const MAX_BATCH_SIZE = Number(process.env.API_MAX_BATCH || 20);
+const MAX_BODY_BYTES = 64 * 1024;
+
+// API callers get a looser per-key budget than Telegram chats: 1 scan per 2s
+const API_CALLER_LIMITS = { reservoir: 5, reservoirRefreshAmount: 5, reservoirRefreshInterval: 10000 };
+
+const REPORT_CONTENT_TYPES = {
+  html: "text/html; charset=utf-8",
+  md: "text/markdown; charset=utf-8",
+  markdown: "text/markdown; charset=utf-8",
+  text: "text/plain; charset=utf-8"
+};
+
+const log = (msg, data) => fs.appendFileSync("api.log", `${new Date().toISOString()} - ${msg} ${JSON.stringify(data)}\n`);
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// API_KEYS="key1:1000,key2:250" - key and scans allowed per UTC day (no quota = unlimited)
+function parseApiKeys(raw) {
+  const keys = new Map();
+  for (const entry of (raw || "").split(",").map(e => e.trim()).filter(Boolean)) {
+    const [key, quota] = entry.split(":");
+    keys.set(key, { quota: quota ? Number(quota) : Infinity, used: 0, day: null });
+  }
+  return keys;
+}
+
+const apiKeys = parseApiKeys(process.env.API_KEYS);
+
+function authenticate(req) {
+  if (apiKeys.size === 0) return "anonymous";
+
+  const header = req.headers["authorization"] || "";
+  const key = req.headers["x-api-key"] || (header.startsWith("Bearer ") ? header.slice(7) : null);
+  if (!key || !apiKeys.has(key)) {
+    throw new HttpError(401, "Missing or invalid API key");
+  }
+  return key;
+}
+
+function consumeQuota(res, key, scans) {
+  const entry = apiKeys.get(key);
+  if (!entry) return;
+
+  const today = new Date().toISOString().slice(0, 10);
+  if (entry.day !== today) {
+    entry.day = today;
+    entry.used = 0;
+  }
+  if (entry.used + scans > entry.quota) {
+    res.setHeader("X-Quota-Remaining", String(Math.max(entry.quota - entry.used, 0)));
+    throw new HttpError(429, `Daily quota of ${entry.quota} scans exceeded`);
+  }
+  entry.used += scans;
+  if (entry.quota !== Infinity) {
+    res.setHeader("X-Quota-Remaining", String(entry.quota - entry.used));
+  }
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json; charset=utf-8" });
+  res.end(JSON.stringify(body));
+}
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on("data", chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new HttpError(413, "Request body too large"));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => {
+      try {
+        resolve(chunks.length ? JSON.parse(Buffer.concat(chunks).toString("utf8")) : {});
+      } catch {
+        reject(new HttpError(400, "Body must be valid JSON"));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+function assertAddress(address) {
+  if (!ethers.isAddress(address)) {
+    throw new HttpError(400, `Invalid token address: ${address}`);
+  }
+}
+
+function scanOptions(searchParams) {
+  return { simulate: searchParams.get("simulate") !== "false" };
+}
+
+async function scan(key, address, options) {
+  return scheduleScan(`api:${key}`, () => analyzeTokenStructured(address, options), API_CALLER_LIMITS);
+}
+
+async function handleRequest(req, res) {
+  const url = new URL(req.url, `http://${req.headers.host || "localhost"}`);
+  const parts = url.pathname.split("/").filter(Boolean);
+
+  if (req.method === "GET" && url.pathname === "/health") {
+    return sendJson(res, 200, { status: "ok" });
+  }
+  if (req.method === "GET" && url.pathname === "/v1/schema") {
+    return sendJson(res, 200, ANALYSIS_RESULT_SCHEMA);
+  }
+
+  const key = authenticate(req);
+
+  // GET /v1/tokens/:address/scan | /v1/tokens/:address/report
+  if (req.method === "GET" && parts.length === 4 && parts[0] === "v1" && parts[1] === "tokens") {
+    const [, , address, action] = parts;
+    assertAddress(address);
+
+    if (action === "scan") {
+      consumeQuota(res, key, 1);
+      log("Scan", { key, address });
+      return sendJson(res, 200, await scan(key, address, scanOptions(url.searchParams)));
+    }
+
+    if (action === "report") {
+      const format = (url.searchParams.get("format") || "text").toLowerCase();
+      if (!REPORT_CONTENT_TYPES[format]) {
+        throw new HttpError(400, `Unsupported format "${format}" (use html, md or text)`);
+      }
+      consumeQuota(res, key, 1);
+      log("Report", { key, address, format });
+      const result = await scan(key, address, scanOptions(url.searchParams));
+      res.writeHead(200, { "Content-Type": REPORT_CONTENT_TYPES[format] });
+      return res.end(renderReport(result, format));
+    }
+  }
+
+  // POST /v1/scan/batch { "addresses": [...], "options": { "simulate": false } }
+  if (req.method === "POST" && url.pathname === "/v1/scan/batch") {
+    const body = await readJsonBody(req);
+    const addresses = Array.isArray(body.addresses) ? body.addresses : null;
+    if (!addresses || addresses.length === 0) {
+      throw new HttpError(400, "Body must contain a non-empty \"addresses\" array");
+    }
+    if (addresses.length > MAX_BATCH_SIZE) {
+      throw new HttpError(400, `Batch size ${addresses.length} exceeds the limit of ${MAX_BATCH_SIZE}`);
+    }
+    addresses.forEach(assertAddress);
+    consumeQuota(res, key, addresses.length);
+    log("Batch scan", { key, count: addresses.length });
+
+    const options = { simulate: body.options?.simulate !== false };
+    const results = await Promise.all(addresses.map(async address => {
+      try {
+        return { address, ok: true, result: await scan(key, address, options) };
+      } catch (err) {
+        return { address, ok: false, error: err.message };
+      }
+    }));
+    return sendJson(res, 200, { results });
+  }
+
+  throw new HttpError(404, `No route for ${req.method} ${url.pathname}`);
+}
+
+// 🔥 NEW: Standalone HTTP API - no Telegram dependency, reuses the shared scan limiters
+export function startServer({ port = PORT, host = HOST } = {}) {
+  if (apiKeys.size === 0) {
+    console.warn("⚠️ API_KEYS not set - the scan API is open to anyone who can reach it");
+  }
+
+  const server = http.createServer((req, res) => {
+    handleRequest(req, res).catch(err => {
+      const status = err.status || 500;
+      if (status === 500) {
+        console.error("❌ API request failed:", err);
+        log("Request failed", { url: req.url, error: err.message });
+      }
+      if (!res.headersSent) sendJson(res, status, { error: err.message });
+      else res.end();
+    });
+  });
+
+  server.listen(port, host, () => {
+    console.log(`✅ Scan API listening on http://${host}:${port}`);
+  });
+
+  process.on("SIGTERM", () => {
+    log("Shutting down", {});
+    server.close(() => process.exit(0));
+  });
+
+  return server;
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  startServer();
+}
@@ -0,0 +1,365 @@
+import { ethers } from "ethers";
+import { createRequire } from "module";
+
+const require = createRequire(import.meta.url);
+const routerAbi = require("./abi/Router.json");
+
+const provider = new ethers.JsonRpcProvider(process.env.RPC_URL);
+const ROUTER_ADDRESS = process.env.ROUTER_ADDRESS;
+
+// Amount of base token (in whole units) spent on the simulated buy
+const SIM_BUY_AMOUNT = process.env.SIM_BUY_AMOUNT || "0.1";
+// Native balance handed to the throwaway wallet - large enough to cover any buy
+const SIM_NATIVE_BALANCE = ethers.parseEther("1000000");
+// How many storage slots to probe when looking for an ERC20 balance mapping
+const MAX_SLOT_PROBE = 30;
+
+const routerIface = new ethers.Interface(routerAbi);
+const erc20Iface = new ethers.Interface([
+  "function balanceOf(address) view returns (uint256)",
+  "function totalSupply() view returns (uint256)",
+  "function decimals() view returns (uint8)",
+  "function approve(address spender, uint256 amount) returns (bool)",
+  "function transfer(address to, uint256 amount) returns (bool)"
+]);
+
+const balanceSlotCache = new Map();
+
+// Turn an eth_call failure into the most specific revert reason we can get
+export function extractRevertReason(err) {
+  if (!err) return "unknown error";
+  if (err.reason) return err.reason;
+  if (err.data && err.data !== "0x") {
+    return `custom error ${err.data.slice(0, 10)}`;
+  }
+  if (err.code === "CALL_EXCEPTION") return "execution reverted (no reason)";
+  return err.info?.error?.message || err.shortMessage || err.message || "unknown error";
+}
+
+function toRpcTx({ from, to, data, value = 0n }) {
+  return {
+    from,
+    to,
+    data,
+    value: ethers.toQuantity(value),
+    gas: ethers.toQuantity(15000000),
+    gasPrice: "0x0"
+  };
+}
+
+// eth_call with a state override set - never throws, returns { ok, data, reason }
+async function callWithOverrides(tx, overrides) {
+  try {
+    const data = await provider.send("eth_call", [toRpcTx(tx), "latest", overrides]);
+    return { ok: true, data };
+  } catch (err) {
+    return { ok: false, reason: extractRevertReason(err) };
+  }
+}
+
+// Merge a prestateTracer diff into an existing override set so the next call sees the new state
+function mergeStateDiff(overrides, diff) {
+  const merged = { ...overrides };
+  const pre = diff.pre || {};
+  const post = diff.post || {};
+
+  for (const [address, account] of Object.entries(post)) {
+    const key = address.toLowerCase();
+    const current = { ...(merged[key] || {}) };
+    current.stateDiff = { ...(current.stateDiff || {}) };
+
+    if (account.balance !== undefined) current.balance = account.balance;
+    if (account.nonce !== undefined) current.nonce = ethers.toQuantity(account.nonce);
+    if (account.code !== undefined) current.code = account.code;
+
+    // Slots present before but missing after were cleared to zero
+    for (const slot of Object.keys(pre[address]?.storage || {})) {
+      if (!account.storage || !(slot in account.storage)) {
+        current.stateDiff[slot] = ethers.ZeroHash;
+      }
+    }
+    for (const [slot, value] of Object.entries(account.storage || {})) {
+      current.stateDiff[slot] = value;
+    }
+
+    if (Object.keys(current.stateDiff).length === 0) delete current.stateDiff;
+    merged[key] = current;
+  }
+
+  return merged;
+}
+
+// Execute a call, and if it succeeds capture its state changes via debug_traceCall
+export async function executeStep(tx, overrides) {
+  const result = await callWithOverrides(tx, overrides);
+  if (!result.ok) return { ...result, overrides };
+
+  try {
+    const diff = await provider.send("debug_traceCall", [
+      toRpcTx(tx),
+      "latest",
+      { tracer: "prestateTracer", tracerConfig: { diffMode: true }, stateOverrides: overrides }
+    ]);
+    return { ...result, traced: true, overrides: mergeStateDiff(overrides, diff) };
+  } catch (err) {
+    // Node without the debug namespace - the call succeeded but we cannot carry its state forward
+    console.log("debug_traceCall unavailable:", err.message);
+    return { ...result, traced: false, overrides };
+  }
+}
+
+export async function readTokenBalance(token, holder, overrides) {
+  const result = await callWithOverrides({
+    to: token,
+    data: erc20Iface.encodeFunctionData("balanceOf", [holder])
+  }, overrides);
+  if (!result.ok) return 0n;
+  return erc20Iface.decodeFunctionResult("balanceOf", result.data)[0];
+}
+
+export async function readTotalSupply(token, overrides) {
+  const result = await callWithOverrides({
+    to: token,
+    data: erc20Iface.encodeFunctionData("totalSupply", [])
+  }, overrides);
+  if (!result.ok) return null;
+  return erc20Iface.decodeFunctionResult("totalSupply", result.data)[0];
+}
+
+function readNativeBalance(address, overrides) {
+  const account = overrides[address.toLowerCase()];
+  return account && account.balance ? BigInt(account.balance) : 0n;
+}
+
+async function quoteAmountsOut(router, amountIn, path, overrides) {
+  const result = await callWithOverrides({
+    to: router,
+    data: routerIface.encodeFunctionData("getAmountsOut", [amountIn, path])
+  }, overrides);
+  if (!result.ok) return null;
+  const amounts = routerIface.decodeFunctionResult("getAmountsOut", result.data)[0];
+  return amounts[amounts.length - 1];
+}
+
+// Locate the balanceOf mapping slot of a token (Solidity and Vyper layouts) by probing overrides
+async function findBalanceSlot(token, holder) {
+  const cacheKey = token.toLowerCase();
+  if (balanceSlotCache.has(cacheKey)) return balanceSlotCache.get(cacheKey);
+
+  const probeValue = ethers.toBeHex(0x1234567890abcdefn, 32);
+
+  for (let slot = 0; slot < MAX_SLOT_PROBE; slot++) {
+    for (const vyper of [false, true]) {
+      const storageKey = balanceStorageKey(holder, { slot, vyper });
+      const balance = await readTokenBalance(token, holder, {
+        [cacheKey]: { stateDiff: { [storageKey]: probeValue } }
+      });
+      if (balance === BigInt(probeValue)) {
+        const found = { slot, vyper };
+        balanceSlotCache.set(cacheKey, found);
+        console.log(`✅ Found balance slot for ${token}: ${slot}${vyper ? " (vyper)" : ""}`);
+        return found;
+      }
+    }
+  }
+
+  balanceSlotCache.set(cacheKey, null);
+  return null;
+}
+
+function balanceStorageKey(holder, { slot, vyper }) {
+  const coder = ethers.AbiCoder.defaultAbiCoder();
+  return ethers.keccak256(vyper
+    ? coder.encode(["uint256", "address"], [slot, holder])
+    : coder.encode(["address", "uint256"], [holder, slot]));
+}
+
+function percentLost(expected, actual) {
+  if (!expected || expected <= 0n) return null;
+  if (actual >= expected) return 0;
+  return Number(((expected - actual) * 10000n) / expected) / 100;
+}
+
+function emptyStep() {
+  return { ok: false, tested: false, reason: null, tax: null, expected: null, received: null };
+}
+
+// 🔥 NEW: Real buy → transfer → sell round trip through the router using eth_call state overrides.
+// `overrides` lets callers trade on top of a modified state (e.g. after an owner call), `buyer` pins the wallet
+export async function simulateRoundTrip(tokenAddress, pairedToken, router = ROUTER_ADDRESS, { overrides: initialOverrides = {}, buyer: fixedBuyer = null } = {}) {
+  const result = {
+    method: "state-override",
+    buy: emptyStep(),
+    transfer: emptyStep(),
+    sell: emptyStep(),
+    error: null
+  };
+
+  if (!router || !pairedToken) {
+    result.method = "none";
+    result.error = "missing router or paired token";
+    return result;
+  }
+
+  try {
+    const buyer = fixedBuyer || ethers.Wallet.createRandom().address;
+    const receiver = ethers.Wallet.createRandom().address;
+    const payout = ethers.Wallet.createRandom().address;
+    const deadline = Math.floor(Date.now() / 1000) + 600;
+
+    const wethResult = await callWithOverrides({
+      to: router,
+      data: routerIface.encodeFunctionData("WETH", [])
+    }, {});
+    const weth = wethResult.ok ? routerIface.decodeFunctionResult("WETH", wethResult.data)[0] : null;
+    const nativeBase = !!weth && weth.toLowerCase() === pairedToken.toLowerCase();
+
+    let overrides = {
+      ...initialOverrides,
+      [buyer.toLowerCase()]: { ...initialOverrides[buyer.toLowerCase()], balance: ethers.toQuantity(SIM_NATIVE_BALANCE) }
+    };
+    const buyPath = [pairedToken, tokenAddress];
+    const sellPath = [tokenAddress, pairedToken];
+
+    // --- 1. Buy ---
+    let buyAmount;
+    let buyTx;
+    if (nativeBase) {
+      buyAmount = ethers.parseEther(SIM_BUY_AMOUNT);
+      buyTx = {
+        from: buyer,
+        to: router,
+        value: buyAmount,
+        data: routerIface.encodeFunctionData("swapExactETHForTokensSupportingFeeOnTransferTokens", [
+          0n, buyPath, buyer, deadline
+        ])
+      };
+    } else {
+      const decimalsResult = await callWithOverrides({
+        to: pairedToken,
+        data: erc20Iface.encodeFunctionData("decimals", [])
+      }, {});
+      const baseDecimals = decimalsResult.ok
+        ? Number(erc20Iface.decodeFunctionResult("decimals", decimalsResult.data)[0])
+        : 18;
+      buyAmount = ethers.parseUnits(SIM_BUY_AMOUNT, baseDecimals);
+
+      const slotInfo = await findBalanceSlot(pairedToken, buyer);
+      if (!slotInfo) {
+        result.method = "none";
+        result.error = "could not locate base token balance slot";
+        return result;
+      }
+      const baseKey = pairedToken.toLowerCase();
+      overrides[baseKey] = {
+        ...overrides[baseKey],
+        stateDiff: { ...overrides[baseKey]?.stateDiff, [balanceStorageKey(buyer, slotInfo)]: ethers.toBeHex(buyAmount, 32) }
+      };
+
+      const approveBase = await executeStep({
+        from: buyer,
+        to: pairedToken,
+        data: erc20Iface.encodeFunctionData("approve", [router, ethers.MaxUint256])
+      }, overrides);
+      if (!approveBase.ok || !approveBase.traced) {
+        result.method = "none";
+        result.error = approveBase.ok
+          ? "RPC does not support debug_traceCall"
+          : `base token approval failed: ${approveBase.reason}`;
+        return result;
+      }
+      overrides = approveBase.overrides;
+
+      buyTx = {
+        from: buyer,
+        to: router,
+        data: routerIface.encodeFunctionData("swapExactTokensForTokens", [
+          buyAmount, 0n, buyPath, buyer, deadline
+        ])
+      };
+    }
+
+    result.buy.tested = true;
+    result.buy.expected = await quoteAmountsOut(router, buyAmount, buyPath, overrides);
+    const buyStep = await executeStep(buyTx, overrides);
+    if (!buyStep.ok) {
+      result.buy.reason = buyStep.reason;
+      return result;
+    }
+    result.buy.ok = true;
+    if (!buyStep.traced) {
+      result.method = "call-only";
+      result.error = "RPC does not support debug_traceCall - only the buy could be checked";
+      return result;
+    }
+    overrides = buyStep.overrides;
+    result.buy.received = await readTokenBalance(tokenAddress, buyer, overrides);
+    result.buy.tax = percentLost(result.buy.expected, result.buy.received);
+
+    if (result.buy.received === 0n) {
+      result.buy.ok = false;
+      result.buy.reason = "buy succeeded but no tokens were received";
+      return result;
+    }
+
+    // --- 2. Wallet-to-wallet transfer ---
+    const transferAmount = result.buy.received / 10n;
+    result.transfer.tested = true;
+    result.transfer.expected = transferAmount;
+    const transferStep = await executeStep({
+      from: buyer,
+      to: tokenAddress,
+      data: erc20Iface.encodeFunctionData("transfer", [receiver, transferAmount])
+    }, overrides);
+    if (transferStep.ok) {
+      overrides = transferStep.overrides;
+      result.transfer.ok = true;
+      result.transfer.received = await readTokenBalance(tokenAddress, receiver, overrides);
+      result.transfer.tax = percentLost(transferAmount, result.transfer.received);
+    } else {
+      result.transfer.reason = transferStep.reason;
+    }
+
+    // --- 3. Sell ---
+    const holding = await readTokenBalance(tokenAddress, buyer, overrides);
+    const sellAmount = (holding * 99n) / 100n;
+    result.sell.tested = true;
+
+    const approveToken = await executeStep({
+      from: buyer,
+      to: tokenAddress,
+      data: erc20Iface.encodeFunctionData("approve", [router, ethers.MaxUint256])
+    }, overrides);
+    if (!approveToken.ok) {
+      result.sell.reason = `approve reverted: ${approveToken.reason}`;
+      return result;
+    }
+    overrides = approveToken.overrides;
+
+    result.sell.expected = await quoteAmountsOut(router, sellAmount, sellPath, overrides);
+    const sellMethod = nativeBase
+      ? "swapExactTokensForETHSupportingFeeOnTransferTokens"
+      : "swapExactTokensForTokensSupportingFeeOnTransferTokens";
+    const sellStep = await executeStep({
+      from: buyer,
+      to: router,
+      data: routerIface.encodeFunctionData(sellMethod, [sellAmount, 0n, sellPath, payout, deadline])
+    }, overrides);
+    if (!sellStep.ok) {
+      result.sell.reason = sellStep.reason;
+      return result;
+    }
+    overrides = sellStep.overrides;
+    result.sell.ok = true;
+    result.sell.received = nativeBase
+      ? readNativeBalance(payout, overrides)
+      : await readTokenBalance(pairedToken, payout, overrides);
+    result.sell.tax = percentLost(result.sell.expected, result.sell.received);
+  } catch (err) {
+    // Most often debug_traceCall is not enabled on the RPC node
+    console.log("Round trip simulation failed:", err.message);
+    result.error = extractRevertReason(err);
+  }
+
+  return result;
+}
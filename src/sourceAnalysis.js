@@ -0,0 +1,366 @@
+import axios from "axios";
+
+const BASE_URL = process.env.BLOCKSCOUT_API || "https://explorer.beschyperchain.com/api/v2";
+
+// Vendored dependencies in multi-file verifications - audited library code, not the token's own logic
+const VENDORED_PATHS = /(^|\/)(@openzeppelin|node_modules|lib)\//;
+// Functions that run on every token transfer
+const TRANSFER_FUNCTIONS = ["_transfer", "_update", "_beforeTokenTransfer", "_afterTokenTransfer", "_tokenTransfer", "transfer", "transferFrom"];
+// Receivers of `x.y(...)` that are never external contracts
+const BUILTIN_RECEIVERS = ["this", "super", "msg", "tx", "block", "abi", "type", "string", "bytes"];
+const MAX_FINDINGS_PER_RULE = 5;
+const MAX_CODE_LENGTH = 120;
+const SEVERITY_ORDER = { high: 0, medium: 1, low: 2 };
+
+const FEE_VARIABLE = /fee|tax/i;
+const TRADING_GATE_VARIABLE = /trading|launched/i;
+const COOLDOWN_VARIABLE = /cooldown|lastTx|lastTransfer|lastBuy|lastSell|transferDelay/i;
+const FEE_WHITELIST_VARIABLE = /(exclud\w*|exempt\w*)fee|fee\w*(exclu|exempt)|^_?isExcluded$/i;
+const ROUTER_PAIR_VARIABLE = /router|pair/i;
+// Setter names that admit to editing the fee whitelist - anything else writing it is hidden
+const WHITELIST_SETTER_NAME = /exclud|exempt|includ|fee|whitelist/i;
+
+// 🔥 NEW: Verified source from Blockscout - the main file plus every additional source file
+export async function fetchContractSource(address) {
+  try {
+    const response = await axios.get(`${BASE_URL}/smart-contracts/${address.toLowerCase()}`, { timeout: 5000 });
+    const data = response.data || {};
+    const verified = !!(data.is_verified || data.verified || data.source_code || (data.abi && data.abi.length > 0) || data.name);
+    const files = [
+      data.source_code ? { path: data.file_path || `${data.name || "Contract"}.sol`, content: data.source_code } : null,
+      ...(data.additional_sources || []).map(s => ({ path: s.file_path, content: s.source_code }))
+    ].filter(f => f && f.content);
+
+    return {
+      address,
+      verified,
+      contractName: data.name || null,
+      compilerVersion: data.compiler_version || null,
+      language: data.language || (data.is_vyper_contract ? "vyper" : "solidity"),
+      files
+    };
+  } catch (err) {
+    if (err.response && err.response.status === 404) {
+      console.log(`Contract ${address} not found/verified on explorer`);
+    } else {
+      console.log(`Contract verification failed for ${address}:`, err.message);
+    }
+    return { address, verified: false, contractName: null, compilerVersion: null, language: null, files: [] };
+  }
+}
+
+// Blank out comments and string contents, keeping every newline so offsets still map to source lines
+function stripCommentsAndStrings(source) {
+  let out = "";
+  let i = 0;
+  while (i < source.length) {
+    const pair = source.slice(i, i + 2);
+    if (pair === "//") {
+      while (i < source.length && source[i] !== "\n") { out += " "; i++; }
+    } else if (pair === "/*") {
+      const end = source.indexOf("*/", i + 2);
+      const stop = end === -1 ? source.length : end + 2;
+      for (; i < stop; i++) out += source[i] === "\n" ? "\n" : " ";
+    } else if (source[i] === "\"" || source[i] === "'") {
+      const quote = source[i];
+      out += quote;
+      i++;
+      while (i < source.length && source[i] !== quote && source[i] !== "\n") {
+        out += source[i] === "\\" ? "  " : " ";
+        i += source[i] === "\\" ? 2 : 1;
+      }
+      if (i < source.length) out += source[i++];
+    } else {
+      out += source[i++];
+    }
+  }
+  return out;
+}
+
+// Index of the `}` closing the block opened at `open`
+function blockEnd(code, open) {
+  let depth = 0;
+  for (let i = open; i < code.length; i++) {
+    if (code[i] === "{") depth++;
+    else if (code[i] === "}" && --depth === 0) return i;
+  }
+  return code.length;
+}
+
+// Contracts, functions and state variables of one file
+function parseFile(path, content) {
+  const code = stripCommentsAndStrings(content);
+  const lines = content.split("\n");
+  const lineAt = offset => code.slice(0, offset).split("\n").length;
+
+  const units = [];
+  for (const match of code.matchAll(/\b(abstract\s+contract|contract|library|interface)\s+(\w+)[^{;]*\{/g)) {
+    const open = match.index + match[0].length - 1;
+    units.push({ kind: match[1].startsWith("abstract") ? "contract" : match[1], name: match[2], start: open, end: blockEnd(code, open) });
+  }
+  const unitAt = offset => units.filter(u => offset > u.start && offset < u.end).pop() || null;
+
+  const functions = [];
+  for (const match of code.matchAll(/\b(?:function\s+(\w+)|(constructor))\s*\(([^)]*)\)([^{;]*)\{/g)) {
+    const unit = unitAt(match.index);
+    if (!unit || unit.kind !== "contract") continue;
+    const open = match.index + match[0].length - 1;
+    const end = blockEnd(code, open);
+    functions.push({
+      file: path,
+      name: match[1] || "constructor",
+      params: match[3].split(",").map(p => p.trim().split(/\s+/).pop()).filter(Boolean),
+      header: match[4],
+      line: lineAt(match.index),
+      bodyStart: open,
+      body: code.slice(open, end + 1)
+    });
+  }
+
+  // State variables: contract-level declarations once every function body is blanked out
+  let outside = code;
+  for (const fn of functions) {
+    outside = outside.slice(0, fn.bodyStart) + fn.body.replace(/[^\n]/g, " ") + outside.slice(fn.bodyStart + fn.body.length);
+  }
+  const stateVariables = new Map();
+  const declaration = /^\s*(mapping\s*\([^;]*?\)|address(?:\s+payable)?|u?int\d*|bool|bytes\d*|string|[A-Z]\w*)\s+((?:(?:public|private|internal|constant|immutable|override)\s+)*)(\w+)\s*(?:=[^;]*)?;/gm;
+  for (const match of outside.matchAll(declaration)) {
+    const unit = unitAt(match.index);
+    if (!unit || unit.kind !== "contract") continue;
+    stateVariables.set(match[3], {
+      type: match[1].replace(/\s+/g, " "),
+      fixed: /\b(constant|immutable)\b/.test(match[2])
+    });
+  }
+
+  return { path, code, lines, lineAt, functions, stateVariables };
+}
+
+// Offset inside a function body -> { file, line, code } pointing at the original source
+function locate(file, fn, offsetInBody) {
+  const line = file.lineAt(fn.bodyStart + offsetInBody);
+  return { file: file.path, line, code: file.lines[line - 1].trim().slice(0, MAX_CODE_LENGTH) };
+}
+
+const isMutating = fn => fn.name !== "constructor" && !/\b(view|pure)\b/.test(fn.header);
+const assignmentsTo = (body, name) => [...body.matchAll(new RegExp(`\\b${name}\\s*(?:\\[[^\\]]*\\])?\\s*(?:=(?!=)|\\+=|-=)([^;]*);`, "g"))];
+const conditions = body => [...body.matchAll(/\b(?:require\s*\(([^;]*)\)\s*;|if\s*\(([^{;]*)\))/g)].map(m => ({ index: m.index, text: m[1] || m[2] }));
+
+// --- Rules: each returns findings without severity ordering ---
+
+function uncappedFeeSetters({ files, stateVariables }) {
+  const feeVariables = [...stateVariables].filter(([name, v]) => FEE_VARIABLE.test(name) && /^u?int/.test(v.type) && !v.fixed);
+  const findings = [];
+  for (const { file, fn } of files.flatMap(file => file.functions.map(fn => ({ file, fn })))) {
+    // Transfer functions move fee amounts around - only setters count here
+    if (!isMutating(fn) || TRANSFER_FUNCTIONS.includes(fn.name)) continue;
+    for (const [name] of feeVariables) {
+      const fromParam = assignmentsTo(fn.body, name).find(m => fn.params.some(p => new RegExp(`\\b${p}\\b`).test(m[1])));
+      if (!fromParam) continue;
+      const capped = conditions(fn.body).some(c => /[<>]/.test(c.text) && (fn.params.some(p => c.text.includes(p)) || c.text.includes(name)));
+      if (capped) continue;
+      findings.push({ rule: "uncapped_fee_setter", severity: "high", message: `${fn.name}() sets ${name} with no upper cap`, ...locate(file, fn, fromParam.index) });
+    }
+  }
+  return findings;
+}
+
+function tradingGates({ files, stateVariables, functionsByName }) {
+  const gates = [...stateVariables].filter(([name, v]) => v.type === "bool" && TRADING_GATE_VARIABLE.test(name)).map(([name]) => name);
+  const findings = [];
+  for (const name of gates) {
+    const transferFns = TRANSFER_FUNCTIONS.flatMap(n => functionsByName.get(n) || []);
+    const gate = transferFns.map(({ file, fn }) => ({ file, fn, condition: conditions(fn.body).find(c => new RegExp(`\\b${name}\\b`).test(c.text)) }))
+      .find(g => g.condition);
+    if (!gate) continue;
+    // A setter that writes a parameter (or false) can close trading again after launch
+    const reversible = files.some(file => file.functions.some(fn =>
+      isMutating(fn) && assignmentsTo(fn.body, name).some(m => /false/.test(m[1]) || fn.params.some(p => m[1].includes(p)))));
+    findings.push({
+      rule: "trading_gate",
+      severity: reversible ? "high" : "medium",
+      message: `Transfers are gated on ${name}${reversible ? " - the owner can close trading again" : " - trading opens only when the owner enables it"}`,
+      ...locate(gate.file, gate.fn, gate.condition.index)
+    });
+  }
+  return findings;
+}
+
+function cooldowns({ files }) {
+  const findings = [];
+  for (const file of files) {
+    for (const fn of file.functions) {
+      const check = conditions(fn.body).find(c => COOLDOWN_VARIABLE.test(c.text) && /block\.(timestamp|number)/.test(c.text));
+      if (check) {
+        findings.push({ rule: "cooldown", severity: "low", message: `${fn.name}() enforces a transfer cooldown`, ...locate(file, fn, check.index) });
+      }
+    }
+  }
+  return findings;
+}
+
+function feeWhitelists({ files, stateVariables }) {
+  const whitelists = [...stateVariables].filter(([name, v]) => v.type.startsWith("mapping") && FEE_WHITELIST_VARIABLE.test(name)).map(([name]) => name);
+  const findings = [];
+  for (const name of whitelists) {
+    for (const file of files) {
+      for (const fn of file.functions) {
+        if (fn.name === "constructor") continue;
+        const write = assignmentsTo(fn.body, name)[0];
+        if (!write) continue;
+        const hidden = !WHITELIST_SETTER_NAME.test(fn.name) || TRANSFER_FUNCTIONS.includes(fn.name);
+        findings.push({
+          rule: "fee_whitelist",
+          severity: hidden ? "high" : "medium",
+          message: hidden
+            ? `Hidden fee whitelist: ${fn.name}() writes ${name}`
+            : `Owner can exempt wallets from fees via ${fn.name}()`,
+          ...locate(file, fn, write.index)
+        });
+      }
+    }
+  }
+  return findings;
+}
+
+function externalCallsInTransfer({ stateVariables, functionsByName }) {
+  const isContractVariable = name => {
+    const v = stateVariables.get(name);
+    return !!v && /^[A-Z]/.test(v.type);
+  };
+  // The transfer functions plus the helpers they call directly (swapBack, process...)
+  const roots = TRANSFER_FUNCTIONS.flatMap(n => functionsByName.get(n) || []);
+  const scanned = new Map(roots.map(entry => [entry.fn, { ...entry, via: null }]));
+  for (const { fn } of roots) {
+    for (const call of fn.body.matchAll(/\b(\w+)\s*\(/g)) {
+      for (const helper of functionsByName.get(call[1]) || []) {
+        if (!scanned.has(helper.fn)) scanned.set(helper.fn, { ...helper, via: fn.name });
+      }
+    }
+  }
+
+  const findings = [];
+  for (const { file, fn, via } of scanned.values()) {
+    const calls = [
+      ...[...fn.body.matchAll(/\.\s*(call|delegatecall)\s*[({]/g)]
+        .map(m => ({ index: m.index, target: `low-level ${m[1]}` })),
+      ...[...fn.body.matchAll(/\bpayable\s*\([^()]*\)\s*\.\s*(transfer|send)\s*\(/g)]
+        .map(m => ({ index: m.index, target: `native ${m[1]}` })),
+      ...[...fn.body.matchAll(/\b(I[A-Z]\w*)\s*\((?:[^()]|\([^()]*\))+\)\s*\.\s*(\w+)\s*[({]/g)]
+        .map(m => ({ index: m.index, target: `${m[1]}.${m[2]}` })),
+      ...[...fn.body.matchAll(/\b(\w+)\s*\.\s*(\w+)\s*[({]/g)]
+        .filter(m => !BUILTIN_RECEIVERS.includes(m[1]) && isContractVariable(m[1]))
+        .map(m => ({ index: m.index, target: `${m[1]}.${m[2]}` }))
+    ];
+    for (const call of calls) {
+      findings.push({
+        rule: "external_call_in_transfer",
+        severity: call.target.startsWith("low-level") ? "high" : "medium",
+        message: `${fn.name}()${via ? ` (called from ${via})` : ""} makes an external call: ${call.target}`,
+        ...locate(file, fn, call.index)
+      });
+    }
+  }
+  return findings;
+}
+
+function selfdestructAndDelegatecall({ files }) {
+  const findings = [];
+  for (const file of files) {
+    for (const fn of file.functions) {
+      for (const match of fn.body.matchAll(/\b(selfdestruct|suicide)\s*\(|\.\s*(delegatecall)\s*\(/g)) {
+        const opcode = match[1] || match[2];
+        findings.push({
+          rule: "selfdestruct_delegatecall",
+          severity: "high",
+          message: `${fn.name}() uses ${opcode === "suicide" ? "selfdestruct" : opcode}`,
+          ...locate(file, fn, match.index)
+        });
+      }
+    }
+  }
+  return findings;
+}
+
+function mutableRouterPair({ files, stateVariables }) {
+  const targets = [...stateVariables].filter(([name, v]) => ROUTER_PAIR_VARIABLE.test(name) && !v.fixed && !v.type.startsWith("mapping")).map(([name]) => name);
+  const findings = [];
+  for (const name of targets) {
+    for (const file of files) {
+      for (const fn of file.functions) {
+        if (!isMutating(fn)) continue;
+        const write = assignmentsTo(fn.body, name)[0];
+        if (write) {
+          findings.push({ rule: "mutable_router_pair", severity: "medium", message: `${fn.name}() can replace ${name}`, ...locate(file, fn, write.index) });
+        }
+      }
+    }
+  }
+  return findings;
+}
+
+const RULES = [
+  uncappedFeeSetters,
+  tradingGates,
+  cooldowns,
+  feeWhitelists,
+  externalCallsInTransfer,
+  selfdestructAndDelegatecall,
+  mutableRouterPair
+];
+
+function emptySourceAnalysis(reason, source = null) {
+  return {
+    analyzed: false,
+    reason,
+    address: source ? source.address : null,
+    contractName: source ? source.contractName : null,
+    compilerVersion: source ? source.compilerVersion : null,
+    filesAnalyzed: 0,
+    findings: [],
+    counts: { high: 0, medium: 0, low: 0 }
+  };
+}
+
+// 🔥 NEW: Static rule pass over verified Solidity source - every finding points at a file and line
+export function analyzeContractSource(source) {
+  if (!source || !source.verified) return emptySourceAnalysis("Source not verified", source);
+  if (source.files.length === 0) return emptySourceAnalysis("Explorer returned no source files", source);
+  if (source.language && source.language.toLowerCase() !== "solidity") {
+    return emptySourceAnalysis(`${source.language} source is not supported`, source);
+  }
+
+  const files = source.files.filter(f => !VENDORED_PATHS.test(f.path)).map(f => parseFile(f.path, f.content));
+  const stateVariables = new Map(files.flatMap(f => [...f.stateVariables]));
+  const functionsByName = new Map();
+  for (const file of files) {
+    for (const fn of file.functions) {
+      functionsByName.set(fn.name, [...(functionsByName.get(fn.name) || []), { file, fn }]);
+    }
+  }
+
+  const seen = new Set();
+  const findings = RULES.flatMap(rule => rule({ files, stateVariables, functionsByName }).slice(0, MAX_FINDINGS_PER_RULE))
+    .filter(f => {
+      const key = `${f.rule}:${f.file}:${f.line}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .sort((a, b) => SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity] || a.file.localeCompare(b.file) || a.line - b.line);
+
+  const counts = { high: 0, medium: 0, low: 0 };
+  findings.forEach(f => counts[f.severity]++);
+  console.log(`📝 Source review of ${source.contractName || source.address}: ${findings.length} findings (${counts.high} high)`);
+
+  return {
+    analyzed: true,
+    reason: null,
+    address: source.address,
+    contractName: source.contractName,
+    compilerVersion: source.compilerVersion,
+    filesAnalyzed: files.length,
+    findings,
+    counts
+  };
+}
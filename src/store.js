@@ -0,0 +1,28 @@
+import fs from "fs";
+import path from "path";
+
+// Runtime state (watchlists, subscriptions, reputation...) lives in plain JSON files under DATA_DIR
+export const DATA_DIR = process.env.DATA_DIR || "data";
+
+export function dataPath(fileName) {
+  return path.join(DATA_DIR, fileName);
+}
+
+export function loadJson(filePath, fallback) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (err) {
+    if (err.code !== "ENOENT") {
+      console.log(`Failed to read ${filePath}, starting empty:`, err.message);
+    }
+    return fallback;
+  }
+}
+
+// Write to a temp file first so a crash mid-write never leaves truncated JSON behind
+export function saveJson(filePath, data) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tmpPath = `${filePath}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2));
+  fs.renameSync(tmpPath, filePath);
+}
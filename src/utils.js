@@ -12,3 +12,71 @@ export function bnToDecimal(bn, decimals = 18) {
     return 0;
   }
 }
+// Make analysis data JSON-safe: BigInts become decimal strings, ethers Results become plain arrays
+export function toSerializable(value) {
+  if (typeof value === "bigint") return value.toString();
+  if (Array.isArray(value)) return Array.from(value, toSerializable);
+  if (value && typeof value === "object") {
+    const plain = {};
+    for (const [key, entry] of Object.entries(value)) {
+      if (typeof entry === "function" || entry === undefined) continue;
+      plain[key] = toSerializable(entry);
+    }
+    return plain;
+  }
+  return value;
+}
+// "7d", "24h", "90m", "30s" -> seconds (null if unparseable)
+export function parseDuration(text) {
+  const match = /^(\d+)\s*([smhdw])$/i.exec(String(text).trim());
+  if (!match) return null;
+  const unitSeconds = { s: 1, m: 60, h: 3600, d: 86400, w: 604800 };
+  return Number(match[1]) * unitSeconds[match[2].toLowerCase()];
+}
+// seconds -> "2d 4h" / "3h 12m" / "45m"
+export function formatDuration(seconds) {
+  const s = Math.max(0, Math.floor(seconds));
+  const days = Math.floor(s / 86400);
+  const hours = Math.floor((s % 86400) / 3600);
+  const minutes = Math.floor((s % 3600) / 60);
+  if (days > 0) return `${days}d ${hours}h`;
+  if (hours > 0) return `${hours}h ${minutes}m`;
+  return `${minutes}m`;
+}
+// 🔥 FIXED: Batched event querying with smaller initial batch size to avoid RPC limits
+// Ranges that still fail at the smallest batch size are skipped - pass `skippedRanges` to learn about them
+export async function queryEventsInBatches(contract, filter, fromBlock, toBlock, batchSize = 1000, skippedRanges = null) {
+  let allEvents = [];
+  let currentFrom = BigInt(fromBlock);
+  const toBlockNum = BigInt(toBlock === 'latest' ? await contract.runner.provider.getBlockNumber() : toBlock);
+
+  console.log(`🔍 Starting batched query: from ${fromBlock} to ${toBlock}, batch size ${batchSize}`);
+
+  while (currentFrom < toBlockNum) {
+    const currentTo = currentFrom + BigInt(batchSize);
+    const actualTo = currentTo > toBlockNum ? toBlockNum : currentTo;
+
+    try {
+      console.log(`📦 Querying batch: ${currentFrom} to ${actualTo}`);
+      const events = await contract.queryFilter(filter, Number(currentFrom), Number(actualTo));
+      allEvents = allEvents.concat(events);
+      console.log(`✅ Batch complete: ${events.length} events found`);
+    } catch (batchErr) {
+      console.error(`❌ Batch failed from ${currentFrom} to ${actualTo}:`, batchErr.message);
+      // If batch fails, try smaller batch or skip
+      if (batchSize > 500) {
+        // Recurse with smaller batch size
+        const smallerBatch = await queryEventsInBatches(contract, filter, Number(currentFrom), Number(actualTo), batchSize / 2, skippedRanges);
+        allEvents = allEvents.concat(smallerBatch);
+      } else {
+        console.log(`⚠️ Skipping problematic batch ${currentFrom}-${actualTo} (batch size too small)`);
+        if (skippedRanges) skippedRanges.push([Number(currentFrom), Number(actualTo)]);
+      }
+    }
+
+    currentFrom = actualTo + 1n;
+  }
+
+  console.log(`✅ Total events collected: ${allEvents.length}`);
+  return allEvents;
+}
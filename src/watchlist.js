@@ -0,0 +1,173 @@
+import { ethers } from "ethers";
+import { analyzeTokenStructured } from "./analyzer.js";
+import { scheduleScan } from "./limits.js";
+import { dataPath, loadJson, saveJson } from "./store.js";
+
+const WATCHLIST_FILE = process.env.WATCHLIST_FILE || dataPath("watchlist.json");
+const WATCH_INTERVAL_MINUTES = Number(process.env.WATCH_INTERVAL_MINUTES || 30);
+const MAX_WATCHES_PER_CHAT = Number(process.env.MAX_WATCHES_PER_CHAT || 20);
+
+// What counts as a "material" change between two snapshots
+const LOCK_DROP_THRESHOLD = 1;          // percentage points of LP supply
+const TAX_CHANGE_THRESHOLD = 0.5;       // percentage points
+const CONCENTRATION_JUMP_THRESHOLD = 5; // percentage points of supply held by the top 10
+
+// { chats: { [chatId]: [address] }, snapshots: { [address]: snapshot } }
+let state = loadJson(WATCHLIST_FILE, { chats: {}, snapshots: {} });
+
+function persist() {
+  saveJson(WATCHLIST_FILE, state);
+}
+
+function normalize(address) {
+  return ethers.getAddress(address);
+}
+
+export function listWatches(chatId) {
+  return state.chats[chatId] || [];
+}
+
+export function addWatch(chatId, address) {
+  const token = normalize(address);
+  const watches = listWatches(chatId);
+  if (watches.includes(token)) return { added: false, reason: "already watched" };
+  if (watches.length >= MAX_WATCHES_PER_CHAT) {
+    return { added: false, reason: `watchlist is full (max ${MAX_WATCHES_PER_CHAT})` };
+  }
+  state.chats[chatId] = [...watches, token];
+  persist();
+  return { added: true, token };
+}
+
+export function removeWatch(chatId, address) {
+  const token = normalize(address);
+  const watches = listWatches(chatId);
+  if (!watches.includes(token)) return false;
+
+  state.chats[chatId] = watches.filter(a => a !== token);
+  if (state.chats[chatId].length === 0) delete state.chats[chatId];
+
+  // Drop the snapshot once nobody watches the token any more
+  if (!Object.values(state.chats).some(list => list.includes(token))) {
+    delete state.snapshots[token];
+  }
+  persist();
+  return true;
+}
+
+export function getSnapshot(address) {
+  return state.snapshots[normalize(address)] || null;
+}
+
+function watchersOf(token) {
+  return Object.entries(state.chats)
+    .filter(([, list]) => list.includes(token))
+    .map(([chatId]) => chatId);
+}
+
+// Reduce a full AnalysisResult to the fields we alert on
+export function takeSnapshot(result) {
+  return {
+    name: result.tokenInfo.name,
+    symbol: result.tokenInfo.symbol,
+    riskLevel: result.riskAssessment.level,
+    riskPercentage: result.riskAssessment.riskPercentage,
+    rulesVersion: result.riskAssessment.rulesVersion,
+    lockedPercent: result.liquidity.lockedPercent || 0,
+    lpPercentBurned: result.liquidity.lpPercentBurned || 0,
+    owner: result.ownership.owner,
+    buyTax: result.taxes.buyTax,
+    sellTax: result.taxes.sellTax,
+    top10Concentration: result.holderAnalysis.top10Concentration,
+    removedPercent24h: result.liquidity.removedPercent24h || 0,
+    rugInProgress: !!result.liquidity.rugInProgress,
+    takenAt: result.analyzedAt
+  };
+}
+
+// 🔥 NEW: Material differences between two snapshots, as human-readable lines
+export function diffSnapshots(previous, current) {
+  const changes = [];
+
+  if (current.rugInProgress && !previous.rugInProgress) {
+    changes.push(`🚨 RUG IN PROGRESS: ${current.removedPercent24h.toFixed(1)}% of a pair's liquidity removed in the last 24h`);
+  }
+  // 🔥 FIXED: A level scored under different risk rules is not comparable - the next scan re-baselines it
+  if (previous.rulesVersion === current.rulesVersion && previous.riskLevel !== current.riskLevel) {
+    changes.push(`⚠️ Risk level: ${previous.riskLevel} (${previous.riskPercentage}%) → ${current.riskLevel} (${current.riskPercentage}%)`);
+  }
+  if (previous.lockedPercent - current.lockedPercent >= LOCK_DROP_THRESHOLD) {
+    changes.push(`🔓 LP locked dropped: ${previous.lockedPercent.toFixed(1)}% → ${current.lockedPercent.toFixed(1)}%`);
+  }
+  if (previous.owner !== current.owner) {
+    changes.push(`👑 Owner changed: ${previous.owner} → ${current.owner}`);
+  }
+  if (Math.abs(previous.buyTax - current.buyTax) >= TAX_CHANGE_THRESHOLD) {
+    changes.push(`💰 Buy tax: ${previous.buyTax}% → ${current.buyTax}%`);
+  }
+  if (Math.abs(previous.sellTax - current.sellTax) >= TAX_CHANGE_THRESHOLD) {
+    changes.push(`💰 Sell tax: ${previous.sellTax}% → ${current.sellTax}%`);
+  }
+  if (current.top10Concentration - previous.top10Concentration >= CONCENTRATION_JUMP_THRESHOLD) {
+    changes.push(`🐋 Top 10 concentration: ${previous.top10Concentration.toFixed(1)}% → ${current.top10Concentration.toFixed(1)}%`);
+  }
+
+  return changes;
+}
+
+function formatAlert(token, snapshot, changes) {
+  return [
+    `🔔 WATCHLIST ALERT: ${snapshot.name} (${snapshot.symbol})`,
+    token,
+    "",
+    ...changes
+  ].join("\n");
+}
+
+// Re-analyze one token, store the new snapshot and return the changes against the previous one
+export async function refreshToken(address) {
+  const token = normalize(address);
+  const result = await scheduleScan("watchlist", () => analyzeTokenStructured(token));
+  const current = takeSnapshot(result);
+  const previous = state.snapshots[token];
+
+  state.snapshots[token] = current;
+  persist();
+
+  return { token, current, changes: previous ? diffSnapshots(previous, current) : [] };
+}
+
+// 🔥 NEW: Periodically re-scan every watched token and push alerts on material changes
+export function startWatchScheduler({ notify, intervalMinutes = WATCH_INTERVAL_MINUTES }) {
+  let running = false;
+
+  const runOnce = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const tokens = [...new Set(Object.values(state.chats).flat())];
+      console.log(`🔍 Watchlist run: ${tokens.length} tokens`);
+
+      for (const token of tokens) {
+        try {
+          const { current, changes } = await refreshToken(token);
+          if (changes.length === 0) continue;
+
+          const alert = formatAlert(token, current, changes);
+          for (const chatId of watchersOf(token)) {
+            await notify(chatId, alert);
+          }
+        } catch (err) {
+          console.log(`Watchlist refresh failed for ${token}:`, err.message);
+        }
+      }
+    } finally {
+      running = false;
+    }
+  };
+
+  // First pass right away - otherwise watched tokens go a full interval without a diff after every restart
+  runOnce().catch(err => console.log("Watchlist run failed:", err.message));
+  const timer = setInterval(runOnce, intervalMinutes * 60 * 1000);
+  return { runOnce, stop: () => clearInterval(timer) };
+}